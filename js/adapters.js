@@ -0,0 +1,260 @@
+/**
+ * Storage Adapters
+ * Where Storage keeps its data: IndexedDB, localStorage, or memory when neither is available
+ */
+
+/*
+ * Each adapter implements:
+ *   name                - Shown in logs and storage stats
+ *   persistent          - Whether data survives a reload
+ *   incremental         - Whether write() uses per-card/per-review changes (otherwise it writes the snapshot)
+ *   softLimit           - Size in characters above which Storage compacts the review log first (null = none)
+ *   open()              - Prepare the backend; resolves to false if it can't be used
+ *   read()              - Resolve to the whole data object, or null if nothing is stored
+ *   write(changes)      - Persist changes from Storage.getChanges:
+ *                         { full, meta, cards, deletedCards, newReviews, allReviews, snapshot }
+ *   readBackup()        - Resolve to the data saved by writeBackup, or null
+ *   writeBackup(data)   - Keep a copy of data as it was before a migration
+ *   clear()             - Remove everything, including the backup
+ *   destroy()           - Remove everything and the backend's own container (e.g. the database)
+ *   close()             - Release the backend (e.g. the database connection); the adapter isn't used after
+ *   estimate()          - Resolve to { used, total } in bytes
+ */
+
+// Above this size the review log is compacted before saving (localStorage allows ~5MB)
+const STORAGE_SOFT_LIMIT = 4 * 1024 * 1024;
+const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+
+const IDB_VERSION = 1;
+const IDB_STORES = ['meta', 'cards', 'reviews'];
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits, reject if it fails
+ * @param {IDBTransaction} transaction
+ * @returns {Promise}
+ */
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * The whole data object as one JSON string under one key
+ * Works with any object shaped like localStorage (getItem/setItem/removeItem)
+ */
+class LocalStorageAdapter {
+    constructor(key, store = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.key = key;
+        this.store = store;
+        this.name = 'localStorage';
+        this.persistent = true;
+        this.incremental = false;
+        this.softLimit = STORAGE_SOFT_LIMIT;
+    }
+
+    async open() {
+        try {
+            const test = '__storage_test__';
+            this.store.setItem(test, test);
+            this.store.removeItem(test);
+            return true;
+        } catch (e) {
+            console.warn('localStorage is not available:', e);
+            return false;
+        }
+    }
+
+    async read() {
+        const stored = this.store.getItem(this.key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async write(changes) {
+        this.store.setItem(this.key, changes.snapshot);
+    }
+
+    async readBackup() {
+        const stored = this.store.getItem(`${this.key}-backup`);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async writeBackup(data) {
+        this.store.setItem(`${this.key}-backup`, JSON.stringify(data));
+    }
+
+    async clear() {
+        this.store.removeItem(this.key);
+        this.store.removeItem(`${this.key}-backup`);
+    }
+
+    async destroy() {
+        await this.clear();
+    }
+
+    close() {
+        // Nothing to release
+    }
+
+    async estimate() {
+        const stored = this.store.getItem(this.key);
+        return { used: stored ? new Blob([stored]).size : 0, total: LOCAL_STORAGE_LIMIT };
+    }
+}
+
+/**
+ * Keeps data for this page load only; progress is lost on reload
+ */
+class MemoryAdapter extends LocalStorageAdapter {
+    constructor(key) {
+        const items = new Map();
+        super(key, {
+            getItem: k => (items.has(k) ? items.get(k) : null),
+            setItem: (k, v) => items.set(k, String(v)),
+            removeItem: k => items.delete(k)
+        });
+        this.name = 'memory';
+        this.persistent = false;
+        this.softLimit = null;
+    }
+
+    async estimate() {
+        const stored = this.store.getItem(this.key);
+        return { used: stored ? stored.length : 0, total: 0 };
+    }
+}
+
+/**
+ * Settings and stats in one record, then one record per card and per review,
+ * so each answer writes only what changed
+ */
+class IndexedDBAdapter {
+    constructor(name) {
+        this.dbName = name;
+        this.db = null;
+        this.name = 'IndexedDB';
+        this.persistent = true;
+        this.incremental = true;
+        this.softLimit = null;
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') return false;
+
+        try {
+            const request = indexedDB.open(this.dbName, IDB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                IDB_STORES.forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        // Reviews get increasing keys so they read back in the order they were added
+                        db.createObjectStore(store, store === 'reviews' ? { autoIncrement: true } : undefined);
+                    }
+                });
+            };
+            this.db = await idbRequest(request);
+            // Let another tab (or Storage instance) delete the database
+            this.db.onversionchange = () => this.db.close();
+            return true;
+        } catch (e) {
+            console.warn('IndexedDB is not available:', e);
+            return false;
+        }
+    }
+
+    async read() {
+        const transaction = this.db.transaction(IDB_STORES, 'readonly');
+        const [meta, cardKeys, cards, reviewLog] = await Promise.all([
+            idbRequest(transaction.objectStore('meta').get('data')),
+            idbRequest(transaction.objectStore('cards').getAllKeys()),
+            idbRequest(transaction.objectStore('cards').getAll()),
+            idbRequest(transaction.objectStore('reviews').getAll())
+        ]);
+        if (!meta) return null;
+
+        const deckCards = {};
+        cardKeys.forEach((key, i) => {
+            deckCards[key] = cards[i];
+        });
+
+        return { ...meta, deck: { ...meta.deck, cards: deckCards }, reviewLog };
+    }
+
+    async write(changes) {
+        const transaction = this.db.transaction(IDB_STORES, 'readwrite');
+        const cards = transaction.objectStore('cards');
+        const reviews = transaction.objectStore('reviews');
+
+        if (changes.meta) {
+            transaction.objectStore('meta').put(changes.meta, 'data');
+        }
+        if (changes.full) {
+            cards.clear();
+        }
+        Object.entries(changes.cards).forEach(([key, card]) => cards.put(card, key));
+        changes.deletedCards.forEach(key => cards.delete(key));
+
+        if (changes.allReviews) {
+            reviews.clear();
+            changes.allReviews.forEach(entry => reviews.add(entry));
+        } else {
+            changes.newReviews.forEach(entry => reviews.add(entry));
+        }
+
+        await idbTransactionDone(transaction);
+    }
+
+    async readBackup() {
+        const transaction = this.db.transaction('meta', 'readonly');
+        const backup = await idbRequest(transaction.objectStore('meta').get('backup'));
+        return backup || null;
+    }
+
+    async writeBackup(data) {
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').put(data, 'backup');
+        await idbTransactionDone(transaction);
+    }
+
+    async clear() {
+        const transaction = this.db.transaction(IDB_STORES, 'readwrite');
+        IDB_STORES.forEach(store => transaction.objectStore(store).clear());
+        await idbTransactionDone(transaction);
+    }
+
+    async destroy() {
+        this.db.close();
+        await idbRequest(indexedDB.deleteDatabase(this.dbName));
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { used: usage, total: quota };
+        }
+        return { used: 0, total: 0 };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalStorageAdapter, MemoryAdapter, IndexedDBAdapter, STORAGE_SOFT_LIMIT };
+}
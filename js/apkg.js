@@ -0,0 +1,751 @@
+/**
+ * Anki Packages
+ * Builds an .apkg: a zip holding an Anki collection, which is a SQLite database.
+ * The app has no SQLite library, so the database file is written page by page.
+ */
+
+const SQLITE_PAGE_SIZE = 4096;
+
+// B-tree page types
+const PAGE_INDEX_INTERIOR = 2;
+const PAGE_TABLE_INTERIOR = 5;
+const PAGE_INDEX_LEAF = 10;
+const PAGE_TABLE_LEAF = 13;
+
+// Anki's collection schema version 11, which every Anki since 2.1 can import
+const ANKI_SCHEMA_VERSION = 11;
+const ANKI_TABLES = [
+    {
+        name: 'col',
+        columns: ['id integer primary key', 'crt integer not null', 'mod integer not null', 'scm integer not null',
+            'ver integer not null', 'dty integer not null', 'usn integer not null', 'ls integer not null',
+            'conf text not null', 'models text not null', 'decks text not null', 'dconf text not null',
+            'tags text not null']
+    },
+    {
+        name: 'notes',
+        columns: ['id integer primary key', 'guid text not null', 'mid integer not null', 'mod integer not null',
+            'usn integer not null', 'tags text not null', 'flds text not null', 'sfld integer not null',
+            'csum integer not null', 'flags integer not null', 'data text not null']
+    },
+    {
+        name: 'cards',
+        columns: ['id integer primary key', 'nid integer not null', 'did integer not null', 'ord integer not null',
+            'mod integer not null', 'usn integer not null', 'type integer not null', 'queue integer not null',
+            'due integer not null', 'ivl integer not null', 'factor integer not null', 'reps integer not null',
+            'lapses integer not null', 'left integer not null', 'odue integer not null', 'odid integer not null',
+            'flags integer not null', 'data text not null']
+    },
+    {
+        name: 'revlog',
+        columns: ['id integer primary key', 'cid integer not null', 'usn integer not null', 'ease integer not null',
+            'ivl integer not null', 'lastIvl integer not null', 'factor integer not null', 'time integer not null',
+            'type integer not null']
+    },
+    {
+        name: 'graves',
+        columns: ['usn integer not null', 'oid integer not null', 'type integer not null']
+    }
+];
+const ANKI_INDEXES = [
+    { name: 'ix_notes_usn', table: 'notes', columns: ['usn'] },
+    { name: 'ix_cards_usn', table: 'cards', columns: ['usn'] },
+    { name: 'ix_revlog_usn', table: 'revlog', columns: ['usn'] },
+    { name: 'ix_cards_nid', table: 'cards', columns: ['nid'] },
+    { name: 'ix_cards_sched', table: 'cards', columns: ['did', 'queue', 'due'] },
+    { name: 'ix_revlog_cid', table: 'revlog', columns: ['cid'] },
+    { name: 'ix_notes_csum', table: 'notes', columns: ['csum'] }
+];
+
+// Fixed ids, so importing a newer export updates the same note type and deck instead of adding copies
+const ANKI_MODEL_ID = 1767225600000;
+const ANKI_DECK_ID = 1767225600001;
+const ANKI_DEFAULT_DECK_ID = 1;
+
+// Anki's field separator and the alphabet of its note guids
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const ANKI_GUID_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Encode an integer as a SQLite varint (seven bits per byte, most significant first)
+ * Values here are ids and sizes, well below the 2^56 where the nine-byte form starts.
+ * @param {number} value - Non-negative integer
+ * @returns {number[]}
+ */
+function encodeVarint(value) {
+    const bytes = [value % 128];
+    for (let rest = Math.floor(value / 128); rest > 0; rest = Math.floor(rest / 128)) {
+        bytes.unshift(0x80 | rest % 128);
+    }
+    return bytes;
+}
+
+/**
+ * Encode a row as a SQLite record: a header of serial types, then the values
+ * @param {Array<number|string|null>} values
+ * @returns {number[]}
+ */
+function encodeRecord(values) {
+    const types = [];
+    const body = [];
+
+    values.forEach(value => {
+        if (value === null) {
+            types.push(0);
+        } else if (typeof value === 'string') {
+            const bytes = textEncoder.encode(value);
+            types.push(13 + 2 * bytes.length);
+            bytes.forEach(byte => body.push(byte));
+        } else if (!Number.isInteger(value)) {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value);
+            types.push(7);
+            body.push(...new Uint8Array(view.buffer));
+        } else if (value === 0 || value === 1) {
+            // Serial types 8 and 9 store 0 and 1 with no bytes
+            types.push(8 + value);
+        } else {
+            const size = [1, 2, 3, 4, 6, 8].find(bytes => Math.abs(value) < 2 ** (8 * bytes - 1));
+            types.push({ 6: 5, 8: 6 }[size] || size);
+            const bits = BigInt.asUintN(8 * size, BigInt(value));
+            for (let shift = 8 * (size - 1); shift >= 0; shift -= 8) {
+                body.push(Number((bits >> BigInt(shift)) & 0xffn));
+            }
+        }
+    });
+
+    const typeBytes = types.flatMap(encodeVarint);
+    // The header size counts the varint that holds it
+    let headerSize = typeBytes.length + 1;
+    while (typeBytes.length + encodeVarint(headerSize).length !== headerSize) {
+        headerSize = typeBytes.length + encodeVarint(headerSize).length;
+    }
+    return [...encodeVarint(headerSize), ...typeBytes, ...body];
+}
+
+/**
+ * Compare index keys the way SQLite does for integer columns (then by rowid, the last value)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function compareIndexKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/*
+ * A SQLite database file under construction. Tables and indexes are written whole, bottom-up:
+ * leaf pages first, then interior pages over them, so each b-tree's root is its last page.
+ * Page 1 holds the file header and sqlite_master, the table listing every other b-tree.
+ */
+class SqliteFile {
+    constructor(pageSize = SQLITE_PAGE_SIZE) {
+        this.pageSize = pageSize;
+        this.pages = [null]; // Page 1 is written last, once the schema is known
+        this.schema = [];
+    }
+
+    /**
+     * Add a page and return its number (pages are numbered from 1)
+     * @returns {number}
+     */
+    allocate() {
+        this.pages.push(null);
+        return this.pages.length;
+    }
+
+    /**
+     * Create a table and fill it
+     * @param {string} name
+     * @param {string[]} columns - Column definitions, e.g. 'id integer primary key'
+     * @param {object[]} rows - Values by column name; the integer primary key is the rowid
+     */
+    addTable(name, columns, rows) {
+        const names = columns.map(column => column.split(' ')[0]);
+        const keyColumn = columns.find(column => column.endsWith(' integer primary key'))?.split(' ')[0];
+
+        const entries = rows.map((row, i) => {
+            const rowid = keyColumn ? row[keyColumn] : i + 1;
+            // The rowid alias is stored as NULL in the record
+            const record = encodeRecord(names.map(column => column === keyColumn ? null : row[column]));
+            return { rowid, record };
+        }).sort((a, b) => a.rowid - b.rowid);
+
+        this.schema.push({
+            type: 'table',
+            name,
+            table: name,
+            rootPage: this.writeTree(entries, true),
+            sql: `CREATE TABLE ${name} (${columns.join(', ')})`,
+            keyColumn,
+            rows
+        });
+    }
+
+    /**
+     * Create an index over integer columns of a table added before
+     * @param {string} name
+     * @param {string} table
+     * @param {string[]} columns
+     */
+    addIndex(name, table, columns) {
+        const { keyColumn, rows } = this.schema.find(entry => entry.name === table);
+
+        const entries = rows.map((row, i) => {
+            const rowid = keyColumn ? row[keyColumn] : i + 1;
+            const key = [...columns.map(column => row[column]), rowid];
+            return { key, record: encodeRecord(key) };
+        }).sort((a, b) => compareIndexKeys(a.key, b.key));
+
+        this.schema.push({
+            type: 'index',
+            name,
+            table,
+            rootPage: this.writeTree(entries, false),
+            sql: `CREATE INDEX ${name} on ${table} (${columns.join(', ')})`
+        });
+    }
+
+    /**
+     * Write a b-tree and return its root page
+     * Table b-trees keep every row in the leaves and copy rowids up as dividers; index b-trees
+     * move the entry between two leaves up into the interior page instead.
+     * @param {object[]} entries - Sorted { rowid, record } for tables, { record } for indexes
+     * @param {boolean} isTable
+     * @returns {number}
+     */
+    writeTree(entries, isTable) {
+        const leafType = isTable ? PAGE_TABLE_LEAF : PAGE_INDEX_LEAF;
+        const children = [];
+        const dividers = [];
+        let cells = [];
+
+        entries.forEach((entry, i) => {
+            if (cells.length > 0 && !this.fits(leafType, [...cells, entry])) {
+                children.push(this.writePage(leafType, cells));
+                if (isTable) {
+                    dividers.push(cells[cells.length - 1]);
+                    cells = [entry];
+                } else if (i < entries.length - 1) {
+                    dividers.push(entry);
+                    cells = [];
+                    return;
+                } else {
+                    cells = [entry];
+                }
+                return;
+            }
+            cells.push(entry);
+        });
+        children.push(this.writePage(leafType, cells));
+
+        return this.writeInterior(children, dividers, isTable);
+    }
+
+    /**
+     * Write interior pages over a level of children until a single root is left
+     * @param {number[]} children - Page numbers
+     * @param {object[]} dividers - Entry between each pair of children
+     * @param {boolean} isTable
+     * @returns {number}
+     */
+    writeInterior(children, dividers, isTable) {
+        if (children.length === 1) return children[0];
+
+        const type = isTable ? PAGE_TABLE_INTERIOR : PAGE_INDEX_INTERIOR;
+        const parents = [];
+        const parentDividers = [];
+        let cells = [];
+
+        for (let i = 0; i < dividers.length; i++) {
+            const cell = { ...dividers[i], child: children[i] };
+            // Keep at least two children for the next page, since an interior page can't be empty
+            if (cells.length > 0 && !this.fits(type, [...cells, cell]) && i < dividers.length - 1) {
+                parents.push(this.writePage(type, cells, children[i]));
+                parentDividers.push(dividers[i]);
+                cells = [];
+                continue;
+            }
+            cells.push(cell);
+        }
+        parents.push(this.writePage(type, cells, children[children.length - 1]));
+
+        return this.writeInterior(parents, parentDividers, isTable);
+    }
+
+    /**
+     * Check whether cells fit on one page (page 1 loses room to the file header)
+     * @param {number} type
+     * @param {object[]} cells
+     * @param {number} pageNumber
+     * @returns {boolean}
+     */
+    fits(type, cells, pageNumber = 0) {
+        const headerSize = (pageNumber === 1 ? 100 : 0) + (this.isLeaf(type) ? 8 : 12);
+        const cellsSize = cells.reduce((total, cell) => total + 2 + this.getCellSize(type, cell), 0);
+        return headerSize + cellsSize <= this.pageSize;
+    }
+
+    isLeaf(type) {
+        return type === PAGE_TABLE_LEAF || type === PAGE_INDEX_LEAF;
+    }
+
+    /**
+     * Get how many bytes of a record stay on its b-tree page (the rest goes to overflow pages)
+     * @param {number} size - Record size
+     * @param {boolean} isTable
+     * @returns {number}
+     */
+    getLocalSize(size, isTable) {
+        const maxLocal = isTable ? this.pageSize - 35 : Math.floor((this.pageSize - 12) * 64 / 255) - 23;
+        if (size <= maxLocal) return size;
+
+        const minLocal = Math.floor((this.pageSize - 12) * 32 / 255) - 23;
+        const local = minLocal + (size - minLocal) % (this.pageSize - 4);
+        return local <= maxLocal ? local : minLocal;
+    }
+
+    getCellSize(type, cell) {
+        if (type === PAGE_TABLE_INTERIOR) {
+            return 4 + encodeVarint(cell.rowid).length;
+        }
+        const size = cell.record.length;
+        const local = this.getLocalSize(size, type === PAGE_TABLE_LEAF);
+        return (type === PAGE_INDEX_INTERIOR ? 4 : 0) + encodeVarint(size).length +
+            (type === PAGE_TABLE_LEAF ? encodeVarint(cell.rowid).length : 0) +
+            local + (local < size ? 4 : 0);
+    }
+
+    /**
+     * Encode a cell, writing any overflow pages it needs
+     * @param {number} type
+     * @param {object} cell
+     * @returns {number[]}
+     */
+    encodeCell(type, cell) {
+        const bytes = [];
+        if (!this.isLeaf(type)) {
+            bytes.push(...this.encodePageNumber(cell.child));
+        }
+        if (type === PAGE_TABLE_INTERIOR) {
+            return [...bytes, ...encodeVarint(cell.rowid)];
+        }
+
+        const { record } = cell;
+        const local = this.getLocalSize(record.length, type === PAGE_TABLE_LEAF);
+        bytes.push(...encodeVarint(record.length));
+        if (type === PAGE_TABLE_LEAF) {
+            bytes.push(...encodeVarint(cell.rowid));
+        }
+        bytes.push(...record.slice(0, local));
+        if (local < record.length) {
+            bytes.push(...this.encodePageNumber(this.writeOverflow(record.slice(local))));
+        }
+        return bytes;
+    }
+
+    /**
+     * Write the part of a record that doesn't fit its cell as a chain of overflow pages
+     * @param {number[]} bytes
+     * @returns {number} - First page of the chain
+     */
+    writeOverflow(bytes) {
+        const capacity = this.pageSize - 4;
+        const pageNumbers = [];
+        for (let offset = 0; offset < bytes.length; offset += capacity) {
+            pageNumbers.push(this.allocate());
+        }
+
+        pageNumbers.forEach((pageNumber, i) => {
+            const page = new Uint8Array(this.pageSize);
+            page.set(this.encodePageNumber(pageNumbers[i + 1] || 0));
+            page.set(bytes.slice(i * capacity, (i + 1) * capacity), 4);
+            this.pages[pageNumber - 1] = page;
+        });
+        return pageNumbers[0];
+    }
+
+    encodePageNumber(pageNumber) {
+        return [pageNumber >>> 24, (pageNumber >>> 16) & 0xff, (pageNumber >>> 8) & 0xff, pageNumber & 0xff];
+    }
+
+    /**
+     * Write a b-tree page
+     * @param {number} type
+     * @param {object[]} cells - In key order
+     * @param {number} rightChild - Interior pages: the child after the last cell
+     * @param {number} pageNumber - Defaults to a new page
+     * @returns {number} - The page number
+     */
+    writePage(type, cells, rightChild = 0, pageNumber = this.allocate()) {
+        if (!this.fits(type, cells, pageNumber)) {
+            throw new Error(`B-tree page ${pageNumber} is too full`);
+        }
+
+        const page = new Uint8Array(this.pageSize);
+        const view = new DataView(page.buffer);
+        const headerOffset = pageNumber === 1 ? 100 : 0;
+        let contentStart = this.pageSize;
+
+        cells.forEach((cell, i) => {
+            const bytes = this.encodeCell(type, cell);
+            contentStart -= bytes.length;
+            page.set(bytes, contentStart);
+            view.setUint16(headerOffset + (this.isLeaf(type) ? 8 : 12) + 2 * i, contentStart);
+        });
+
+        view.setUint8(headerOffset, type);
+        view.setUint16(headerOffset + 3, cells.length);
+        // 0 stands for 65536, the largest page size
+        view.setUint16(headerOffset + 5, contentStart % 65536);
+        if (!this.isLeaf(type)) {
+            view.setUint32(headerOffset + 8, rightChild);
+        }
+
+        this.pages[pageNumber - 1] = page;
+        return pageNumber;
+    }
+
+    /**
+     * Write sqlite_master and the file header onto page 1, and join the pages into a file
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        const entries = this.schema.map((entry, i) => ({
+            rowid: i + 1,
+            record: encodeRecord([entry.type, entry.name, entry.table, entry.rootPage, entry.sql])
+        }));
+        this.writePage(PAGE_TABLE_LEAF, entries, 0, 1);
+
+        const header = new DataView(this.pages[0].buffer);
+        this.pages[0].set(textEncoder.encode('SQLite format 3\0'));
+        header.setUint16(16, this.pageSize === 65536 ? 1 : this.pageSize);
+        header.setUint8(18, 1); // Legacy (rollback journal) file format
+        header.setUint8(19, 1);
+        header.setUint8(21, 64); // Payload fractions, fixed by the format
+        header.setUint8(22, 32);
+        header.setUint8(23, 32);
+        header.setUint32(24, 1); // File change counter
+        header.setUint32(28, this.pages.length);
+        header.setUint32(40, 1); // Schema cookie
+        header.setUint32(44, 4); // Schema format
+        header.setUint32(56, 1); // UTF-8
+        header.setUint32(92, 1); // Change counter the page count is valid for
+        header.setUint32(96, 3045000); // Version of SQLite whose format this follows
+
+        const file = new Uint8Array(this.pages.length * this.pageSize);
+        this.pages.forEach((page, i) => file.set(page, i * this.pageSize));
+        return file;
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum, as zip files use
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    bytes.forEach(byte => {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip of uncompressed files
+ * @param {object[]} files - { name, data: Uint8Array }
+ * @returns {Uint8Array}
+ */
+function zipFiles(files) {
+    // 1 January 1980, the earliest date a zip entry can have
+    const dosTime = 0;
+    const dosDate = (1 << 5) | 1;
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = textEncoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Get the SHA-1 digest of text
+ * @param {string} text
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha1(text) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-1', textEncoder.encode(text)));
+}
+
+/**
+ * Strip HTML from a field, as Anki does for the sort field and duplicate checks
+ * @param {string} html
+ * @returns {string}
+ */
+function stripNoteHtml(html) {
+    return html.replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+        .trim();
+}
+
+const AnkiPackage = {
+    /**
+     * Build an .apkg with one note type, one deck and a new card per note
+     * Note guids come from the first field, so importing again updates notes instead of duplicating them.
+     * @param {object} options
+     * @param {string} options.deckName - Also names the note type
+     * @param {string[]} options.fields - Field names; the first is the front of the card
+     * @param {object[]} options.notes - { fields: HTML strings in field order, tags: string[] }
+     * @param {number} options.now
+     * @returns {Promise<Uint8Array>}
+     */
+    async build({ deckName, fields, notes, now = Date.now() }) {
+        const seconds = Math.floor(now / 1000);
+
+        const noteRows = await Promise.all(notes.map(async (note, i) => {
+            const sortField = stripNoteHtml(note.fields[0]);
+            const checksum = await sha1(sortField);
+            return {
+                id: now + i,
+                guid: this.toGuid(await sha1(`${deckName}${ANKI_FIELD_SEPARATOR}${note.fields[0]}`)),
+                mid: ANKI_MODEL_ID,
+                mod: seconds,
+                usn: -1,
+                // Anki pads tags with spaces so a search can match whole tags
+                tags: note.tags.length > 0 ? ` ${note.tags.join(' ')} ` : '',
+                flds: note.fields.join(ANKI_FIELD_SEPARATOR),
+                sfld: sortField,
+                // First 32 bits of the sort field's SHA-1
+                csum: new DataView(checksum.buffer).getUint32(0),
+                flags: 0,
+                data: ''
+            };
+        }));
+
+        const cardRows = noteRows.map((note, i) => ({
+            id: now + i,
+            nid: note.id,
+            did: ANKI_DECK_ID,
+            ord: 0,
+            mod: seconds,
+            usn: -1,
+            type: 0, // New
+            queue: 0,
+            due: i + 1, // Position among new cards
+            ivl: 0,
+            factor: 0,
+            reps: 0,
+            lapses: 0,
+            left: 0,
+            odue: 0,
+            odid: 0,
+            flags: 0,
+            data: ''
+        }));
+
+        const collection = new SqliteFile();
+        const rows = {
+            col: [this.getCollectionRow(deckName, fields, notes.length, now)],
+            notes: noteRows,
+            cards: cardRows,
+            revlog: [],
+            graves: []
+        };
+        ANKI_TABLES.forEach(({ name, columns }) => collection.addTable(name, columns, rows[name]));
+        ANKI_INDEXES.forEach(({ name, table, columns }) => collection.addIndex(name, table, columns));
+
+        return zipFiles([
+            { name: 'collection.anki2', data: collection.toBytes() },
+            // Map of media file numbers to names; there are none
+            { name: 'media', data: textEncoder.encode('{}') }
+        ]);
+    },
+
+    /**
+     * Build the collection's single row: settings, note types, decks and deck options as JSON
+     * @param {string} deckName
+     * @param {string[]} fields
+     * @param {number} noteCount
+     * @param {number} now
+     * @returns {object}
+     */
+    getCollectionRow(deckName, fields, noteCount, now) {
+        const seconds = Math.floor(now / 1000);
+        const [front, ...back] = fields;
+
+        const model = {
+            id: ANKI_MODEL_ID,
+            name: deckName,
+            type: 0,
+            mod: seconds,
+            usn: -1,
+            sortf: 0,
+            did: ANKI_DECK_ID,
+            tmpls: [{
+                name: 'Recognition',
+                ord: 0,
+                qfmt: `<div class="front">{{${front}}}</div>`,
+                afmt: `{{FrontSide}}<hr id="answer">` +
+                    back.map(name => `{{#${name}}}<div class="field">{{${name}}}</div>{{/${name}}}`).join(''),
+                did: null,
+                bqfmt: '',
+                bafmt: ''
+            }],
+            flds: fields.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+            css: '.card { font-family: sans-serif; font-size: 20px; text-align: center; }\n' +
+                '.front { font-size: 72px; }\n.field { margin: 0.5em 0; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n' +
+                '\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n' +
+                '\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            tags: [],
+            vers: [],
+            // The card needs its front field
+            req: [[0, 'any', [0]]]
+        };
+
+        const deck = (id, name) => ({
+            id,
+            name,
+            mod: seconds,
+            usn: -1,
+            desc: '',
+            dyn: 0,
+            conf: 1,
+            collapsed: false,
+            extendNew: 10,
+            extendRev: 50,
+            newToday: [0, 0],
+            revToday: [0, 0],
+            lrnToday: [0, 0],
+            timeToday: [0, 0]
+        });
+
+        const deckOptions = {
+            id: 1,
+            name: 'Default',
+            mod: 0,
+            usn: 0,
+            maxTaken: 60,
+            autoplay: true,
+            timer: 0,
+            replayq: true,
+            new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, separate: true, bury: true },
+            rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, bury: true },
+            lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+        };
+
+        const settings = {
+            nextPos: noteCount + 1,
+            estTimes: true,
+            activeDecks: [ANKI_DECK_ID],
+            sortType: 'noteFld',
+            timeLim: 0,
+            sortBackwards: false,
+            addToCur: true,
+            curDeck: ANKI_DECK_ID,
+            newSpread: 0,
+            dueCounts: true,
+            curModel: ANKI_MODEL_ID,
+            collapseTime: 1200
+        };
+
+        return {
+            id: 1,
+            crt: seconds,
+            mod: now,
+            scm: now,
+            ver: ANKI_SCHEMA_VERSION,
+            dty: 0,
+            usn: 0,
+            ls: 0,
+            conf: JSON.stringify(settings),
+            models: JSON.stringify({ [ANKI_MODEL_ID]: model }),
+            decks: JSON.stringify({
+                [ANKI_DEFAULT_DECK_ID]: deck(ANKI_DEFAULT_DECK_ID, 'Default'),
+                [ANKI_DECK_ID]: deck(ANKI_DECK_ID, deckName)
+            }),
+            dconf: JSON.stringify({ 1: deckOptions }),
+            tags: '{}'
+        };
+    },
+
+    /**
+     * Write the first 64 bits of a digest in Anki's base-91 guid alphabet
+     * @param {Uint8Array} digest
+     * @returns {string}
+     */
+    toGuid(digest) {
+        let value = new DataView(digest.buffer).getBigUint64(0);
+        let guid = '';
+        do {
+            guid = ANKI_GUID_ALPHABET[Number(value % 91n)] + guid;
+            value /= 91n;
+        } while (value > 0n);
+        return guid;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnkiPackage, SqliteFile, zipFiles, crc32 };
+}
@@ -11,6 +11,9 @@ class ThaiScriptApp {
         this.currentCharacter = null;
         this.answerStartTime = null;
         this.awaitingNextCard = false;
+        this.confusionSession = null; // Active ConfusionDrillSession, if any
+        this.confusionMode = null;
+        this.fluencySession = null; // Active FluencyDrillSession, if any
     }
 
     /**
@@ -20,7 +23,7 @@ class ThaiScriptApp {
         console.log('Initializing Thai Script Master...');
 
         // Load data from storage
-        this.loadData();
+        await this.loadData();
 
         // Initialize deck
         this.initializeDeck();
@@ -34,27 +37,56 @@ class ThaiScriptApp {
         // Start first card
         this.nextCard();
 
+        if (storage.loadError) {
+            ui.showError(storage.loadError);
+        } else if (!storage.isPersistent()) {
+            ui.showError('Progress can\'t be saved in this browser and will be lost when the page closes.');
+        }
+
         console.log('App initialized successfully!');
     }
 
     /**
      * Load data from storage
      */
-    loadData() {
-        this.data = storage.load();
+    async loadData() {
+        storage.onError = message => ui.showError(message);
+        const profile = profiles.getActive();
+        await storage.init(Profiles.getStorageKey(profile.id), profile.name);
+        this.data = await storage.load();
         console.log('Data loaded:', this.data);
+        stats.setIdleTimeout(this.data.settings.idleTimeoutSeconds);
 
         // Check and unlock levels
         this.checkLevelUnlocks();
     }
 
     /**
-     * Save data to storage
+     * Save data to storage, along with study time since the last save
      */
     saveData() {
+        this.recordStudyTime();
         storage.save(this.data);
     }
 
+    /**
+     * Move active study time from the session clock into the stored totals
+     */
+    recordStudyTime() {
+        const time = stats.takePendingTime();
+        if (time > 0) {
+            storage.recordStudyTime(this.data, time, this.getStudyTimeMode());
+        }
+    }
+
+    /**
+     * Get the label study time is filed under: the drill mode, or the targeted session running
+     * @returns {string}
+     */
+    getStudyTimeMode() {
+        return this.confusionSession ? 'confusion' : this.getDrillModeId();
+    }
+
     /**
      * Initialize SM-2 deck with cards for current level
      */
@@ -66,6 +98,8 @@ class ThaiScriptApp {
             this.deck = new SM2Deck();
             this.deck.newCardsPerDay = this.data.deck.newCardsPerDay || 5;
         }
+        this.deck.setScheduler(this.data.settings.scheduler);
+        this.deck.dayOptions = this.getDayOptions();
 
         // Ensure all characters from current level exist in deck
         const levelChars = ThaiData.getLevelCharacters(this.data.settings.currentLevel);
@@ -75,18 +109,131 @@ class ThaiScriptApp {
             }
         });
 
+        // Ensure the active drill mode has its cards too
+        this.ensureModeCards();
+
         console.log('Deck initialized:', this.deck.getStats());
     }
 
+    /**
+     * Get the active drill mode id
+     * @returns {string}
+     */
+    getDrillModeId() {
+        return Drills.resolveModeId(this.data.settings.drillMode);
+    }
+
+    /**
+     * Get the active drill mode definition (a confusion session overrides the setting)
+     * @returns {object}
+     */
+    getDrillMode() {
+        if (this.confusionSession) {
+            return this.confusionMode;
+        }
+        return Drills.getMode(this.data.settings.drillMode);
+    }
+
+    /**
+     * Get every answer the active mode accepts for the current card, lowercased
+     * @returns {string[]}
+     */
+    getAcceptedAnswers() {
+        const mode = this.getDrillMode();
+        if (mode.getAcceptedAnswers) {
+            return mode.getAcceptedAnswers(this.currentCharacter, this.data);
+        }
+        return [mode.getAnswer(this.currentCharacter, this.data).toLowerCase()];
+    }
+
+    /**
+     * Change which romanization scheme is shown and which are accepted
+     * @param {object} changes - { romanizationScheme, acceptedSchemes }
+     */
+    setRomanizationSettings(changes) {
+        Object.assign(this.data.settings, changes);
+        this.saveData();
+
+        // Redraw the current card so prompts and choice labels use the new spelling
+        if (this.currentCard && !this.awaitingNextCard && !ui.isEducationalPanelVisible()) {
+            const mode = this.getDrillMode();
+            ui.displayPrompt(mode.getPrompt(this.currentCharacter, this.data));
+            ui.showChoices(mode.getChoices(this.currentCharacter, this.data), choice => this.checkAnswer(choice));
+            ui.elements.romanInput.className = 'roman-input';
+        }
+    }
+
+    /**
+     * Add a card for every item the active drill mode practises
+     */
+    ensureModeCards() {
+        const modeId = this.getDrillModeId();
+        Drills.getMode(modeId).getItems(this.data).forEach(item => {
+            if (!this.deck.getCard(item, modeId)) {
+                this.deck.addCard(item, modeId);
+            }
+        });
+    }
+
+    /**
+     * Switch drill mode and move to a card from that mode
+     * @param {string} modeId
+     */
+    setDrillMode(modeId) {
+        this.data.settings.drillMode = Drills.resolveModeId(modeId);
+        this.ensureModeCards();
+        this.data.deck = this.deck.toJSON();
+        this.saveData();
+
+        ui.hideEducationalPanel();
+        this.awaitingNextCard = false;
+        this.nextCard();
+    }
+
+    /**
+     * Switch scheduler; existing cards keep their progress and due dates
+     * @param {string} schedulerId
+     */
+    setScheduler(schedulerId) {
+        this.data.settings.scheduler = Schedulers.resolveId(schedulerId);
+        this.deck.setScheduler(this.data.settings.scheduler);
+        this.data.deck = this.deck.toJSON();
+        this.saveData();
+    }
+
+    /**
+     * Get when study days roll over, from settings
+     * @returns {object} - { timezone, dayStartHour }
+     */
+    getDayOptions() {
+        return StudyDay.getOptions(this.data.settings);
+    }
+
+    /**
+     * Change the timezone or the hour a study day starts at
+     * Daily history is re-bucketed from the review log to match
+     * @param {object} changes - { timezone, dayStartHour }
+     */
+    setDayOptions(changes) {
+        const previous = this.getDayOptions();
+        Object.assign(this.data.settings, changes);
+        this.deck.dayOptions = this.getDayOptions();
+        this.data.stats = Migrations.rebucketDailyStats(this.data, previous, this.deck.dayOptions).stats;
+        this.saveData();
+        ui.updateStats(this.data, stats);
+    }
+
     /**
      * Start a new session
      */
     startSession() {
         stats.startSession();
+        this.deck.startSession();
         this.data.session.startTime = Date.now();
         this.data.session.reviewsThisSession = 0;
         this.data.session.correctThisSession = 0;
         this.data.session.wrongThisSession = 0;
+        this.data.session.timeSpent = 0;
         this.saveData();
     }
 
@@ -100,9 +247,21 @@ class ThaiScriptApp {
         // Real-time input validation
         ui.elements.romanInput?.addEventListener('input', (e) => {
             if (this.currentCharacter) {
-                const userInput = e.target.value.trim().toLowerCase();
-                const correctAnswer = ThaiData.getRomanization(this.currentCharacter).toLowerCase();
-                ui.validateInputRealTime(userInput, correctAnswer);
+                const userInput = ThaiData.normalizeRomanization(e.target.value);
+                ui.validateInputRealTime(userInput, this.getAcceptedAnswers());
+            }
+        });
+
+        // Study time counts between inputs and stops while the tab is hidden
+        ['keydown', 'pointerdown'].forEach(type => {
+            document.addEventListener(type, () => stats.recordActivity(), { passive: true });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                stats.pauseTimer();
+                this.saveData();
+            } else {
+                stats.resumeTimer();
             }
         });
 
@@ -112,6 +271,7 @@ class ThaiScriptApp {
 
         // Setup modal listeners
         ui.setupModalListeners(this);
+        dashboard.setupListeners(this);
 
         // Setup keyboard shortcuts
         ui.setupKeyboardShortcuts(this);
@@ -131,20 +291,52 @@ class ThaiScriptApp {
             this.awaitingNextCard = false;
         }
 
-        // Get next card from deck
-        this.currentCard = this.deck.getNextCard();
+        if (this.confusionSession && this.confusionSession.isComplete()) {
+            this.endConfusionSession();
+            return;
+        }
+
+        if (this.fluencySession && this.fluencySession.isComplete()) {
+            this.endFluencySession();
+            return;
+        }
+
+        const mode = this.getDrillMode();
+
+        if (this.confusionSession) {
+            // Confusion sessions pick their own characters and review their romanization cards
+            const character = this.confusionSession.getNextCharacter();
+            this.currentCard = this.deck.getCard(character) || this.deck.addCard(character);
+        } else if (this.fluencySession) {
+            // Fluency sessions review the slow characters' cards in the current mode
+            const character = this.fluencySession.getNextCharacter();
+            const modeId = this.getDrillModeId();
+            this.currentCard = this.deck.getCard(character, modeId) || this.deck.addCard(character, modeId);
+        } else {
+            // Get next card from deck
+            this.currentCard = this.deck.getNextCard(this.getDrillModeId());
+        }
 
         if (!this.currentCard) {
             // No more cards available
-            ui.showSessionComplete();
+            ui.hideChoices();
+            ui.showSessionComplete(this.deck.isSessionLimitReached()
+                ? `Session limit reached (${this.deck.maxReviewsPerSession} reviews). Take a break!`
+                : undefined);
             console.log('No more cards to review!');
             return;
         }
 
         this.currentCharacter = this.currentCard.character;
 
-        // Display character
-        ui.displayCharacter(this.currentCharacter);
+        // Display prompt and any answer choices for this mode
+        ui.displayPrompt(mode.getPrompt(this.currentCharacter, this.data));
+        if (this.fluencySession) {
+            ui.elements.charHint.textContent = `Fluency drill · answer within ${FAST_RESPONSE_MS / 1000}s`;
+        }
+        ui.showChoices(mode.getChoices(this.currentCharacter, this.data), choice => this.checkAnswer(choice));
+        ui.setInputLayout(mode.inputLayout);
+        ui.setTextInputVisible(!mode.choicesOnly);
         ui.hideFeedback();
         ui.hideEducationalPanel(); // Hide any educational content
         ui.clearInput();
@@ -157,14 +349,13 @@ class ThaiScriptApp {
 
         // Start timing
         this.answerStartTime = Date.now();
-
-        console.log('Next card:', this.currentCharacter, ThaiData.getRomanization(this.currentCharacter));
     }
 
     /**
      * Check user's answer
+     * @param {string|null} selectedAnswer - Answer picked from a choice button (typed input otherwise)
      */
-    checkAnswer() {
+    checkAnswer(selectedAnswer = null) {
         if (this.awaitingNextCard) {
             this.nextCard();
             return;
@@ -175,7 +366,7 @@ class ThaiScriptApp {
         }
 
         // Get input
-        const userAnswer = ui.getInput();
+        const userAnswer = selectedAnswer || ui.getInput();
         if (!userAnswer) {
             return; // Empty input, ignore
         }
@@ -185,10 +376,11 @@ class ThaiScriptApp {
         stats.recordResponseTime(responseTime);
 
         // Get correct answer
-        const correctAnswer = ThaiData.getRomanization(this.currentCharacter);
+        const mode = this.getDrillMode();
+        const correctAnswer = mode.getAnswer(this.currentCharacter, this.data);
 
         // Check if correct
-        const isCorrect = userAnswer === correctAnswer.toLowerCase();
+        const isCorrect = mode.isCorrect(this.currentCharacter, userAnswer, this.data);
 
         if (isCorrect) {
             // CORRECT ANSWER FLOW
@@ -198,11 +390,13 @@ class ThaiScriptApp {
             // Update statistics
             this.updateStatistics(true, responseTime);
 
-            // Calculate quality grade for SM-2
-            const quality = stats.calculateQuality(true, responseTime);
+            // Calculate quality grade for SM-2 (modes with easy picks cap it)
+            const quality = Math.min(stats.calculateQuality(true, responseTime), mode.maxQuality ?? 5);
 
             // Review card with SM-2 algorithm
-            this.currentCard.review(quality, responseTime);
+            this.reviewCurrentCard(quality, responseTime, userAnswer, true);
+            this.recordConfusionTrial(true);
+            this.recordFluencyTrial(true, responseTime);
 
             // Update deck data
             this.data.deck = this.deck.toJSON();
@@ -237,20 +431,24 @@ class ThaiScriptApp {
 
             // 4. Show comprehensive educational panel with re-type requirement
             setTimeout(() => {
-                ui.showEducationalPanel(this.currentCharacter, userAnswer);
-
-                // Play audio pronunciation
-                ui.playAudio(this.currentCharacter, correctAnswer);
+                mode.explain(this.currentCharacter, userAnswer, this.data);
             }, 600); // Wait for shake animation to complete
 
-            // 5. Update statistics
+            // 5. Update statistics and record what the answer was mixed up with
             this.updateStatistics(false, responseTime);
+            const confusions = mode.getConfusions
+                ? mode.getConfusions(this.currentCharacter, userAnswer, this.data)
+                : [];
+            this.recordConfusions(confusions);
 
-            // 6. Calculate quality grade for SM-2 (wrong = low quality)
-            const quality = stats.calculateQuality(false, responseTime);
+            // 6. Calculate quality grade for SM-2 (0-2 depending on how close the answer was)
+            const quality = stats.calculateQuality(false, responseTime,
+                this.describeWrongAttempt(userAnswer, !!selectedAnswer, confusions));
 
             // 7. Review card with SM-2 algorithm
-            this.currentCard.review(quality, responseTime);
+            this.reviewCurrentCard(quality, responseTime, userAnswer, false);
+            this.recordConfusionTrial(false);
+            this.recordFluencyTrial(false, responseTime);
 
             // 8. Update deck data
             this.data.deck = this.deck.toJSON();
@@ -281,6 +479,57 @@ class ThaiScriptApp {
         this.nextCard();
     }
 
+    /**
+     * Review the current card and append the review to the log
+     * @param {number} quality - Grade (0-5)
+     * @param {number} responseTime - Milliseconds
+     * @param {string} answer - What the learner typed or picked
+     * @param {boolean} correct
+     */
+    reviewCurrentCard(quality, responseTime, answer, correct) {
+        const card = this.currentCard;
+        const before = { interval: card.interval, easeFactor: card.easeFactor };
+
+        this.deck.reviewCard(card, quality, responseTime);
+
+        storage.appendReview(this.data, {
+            timestamp: card.lastReviewed,
+            character: card.character,
+            mode: card.mode,
+            answer,
+            correct,
+            responseTime,
+            quality,
+            before,
+            after: { interval: card.interval, easeFactor: card.easeFactor }
+        });
+    }
+
+    /**
+     * Collect what the scorer needs to grade a wrong answer
+     * @param {string} input - Typed or picked answer
+     * @param {boolean} picked - Whether the answer came from a choice button
+     * @param {object[]} confusions - [{ character, weight }] from the drill mode
+     * @param {boolean} revealed - Whether the learner revealed the answer
+     * @returns {object}
+     */
+    describeWrongAttempt(input, picked, confusions = [], revealed = false) {
+        const mode = this.getDrillMode();
+
+        // Edit distance only means something for typed romanizations
+        const acceptedAnswers = !picked && mode.getAcceptedAnswers
+            ? mode.getAcceptedAnswers(this.currentCharacter, this.data)
+            : [];
+
+        return {
+            input,
+            acceptedAnswers,
+            confusedWith: confusions.map(confusion => confusion.character),
+            lookAlikes: ThaiData.getConfusedCharacters(this.currentCharacter),
+            revealed
+        };
+    }
+
     /**
      * Update session and overall statistics
      */
@@ -297,10 +546,6 @@ class ThaiScriptApp {
         } else {
             this.data.session.wrongThisSession++;
             this.data.session.currentStreak = 0;
-
-            // Record confusion if wrong
-            // Note: For full confusion matrix, we'd need to know what they typed
-            // For now, just track that this character was wrong
         }
 
         // Daily stats
@@ -312,27 +557,139 @@ class ThaiScriptApp {
         }
     }
 
+    /**
+     * Record which characters the learner mixed up with the current one
+     * @param {object[]} confusions - [{ character, weight }]
+     */
+    recordConfusions(confusions) {
+        confusions.forEach(({ character, weight }) => {
+            storage.recordConfusion(this.currentCharacter, character, this.data, weight);
+        });
+    }
+
+    /**
+     * Start a targeted session on the learner's most-confused pairs
+     * @returns {boolean} - Whether there were pairs to drill
+     */
+    startConfusionSession() {
+        const pairCount = this.data.settings.confusionPairCount || DEFAULT_CONFUSION_PAIR_COUNT;
+        const targetStreak = this.data.settings.confusionTargetStreak || DEFAULT_CONFUSION_TARGET_STREAK;
+        const pairs = ConfusionDrillSession.rankPairs(storage.getConfusionPairs(this.data, 0), pairCount);
+
+        if (pairs.length === 0) {
+            ui.showError('No confusions recorded yet. Keep practising and come back!');
+            return false;
+        }
+
+        this.fluencySession = null;
+        this.confusionSession = new ConfusionDrillSession(pairs, targetStreak);
+        this.confusionMode = this.confusionSession.getMode();
+
+        ui.hideEducationalPanel();
+        this.awaitingNextCard = false;
+        this.nextCard();
+        return true;
+    }
+
+    /**
+     * Finish the confusion session and report how each pair went
+     */
+    endConfusionSession() {
+        const progress = this.confusionSession.getProgress();
+        this.confusionSession = null;
+        this.confusionMode = null;
+        this.currentCard = null;
+
+        ui.hideChoices();
+        ui.setTextInputVisible(false);
+        ui.showConfusionSessionComplete(progress);
+    }
+
+    /**
+     * Feed a trial result into the active confusion session
+     * A correct discrimination eases the recorded confusion between the pair
+     * @param {boolean} correct
+     */
+    recordConfusionTrial(correct) {
+        if (!this.confusionSession) return;
+
+        this.confusionSession.recordAnswer(correct);
+
+        if (correct) {
+            const partner = this.confusionSession.getPartner(this.currentCharacter);
+            storage.relieveConfusion(this.currentCharacter, partner, this.data, CONFUSION_RELIEF);
+            storage.relieveConfusion(partner, this.currentCharacter, this.data, CONFUSION_RELIEF);
+        }
+    }
+
+    /**
+     * Start a session on the characters the learner answers correctly but slowly
+     * @returns {boolean} - Whether there were characters to drill
+     */
+    startFluencySession() {
+        const characters = stats.getSlowestCharacters(this.data, this.getDrillModeId(), DEFAULT_FLUENCY_SESSION_SIZE);
+
+        if (characters.length === 0) {
+            ui.showError('Not enough timed answers yet. Keep practising and come back!');
+            return false;
+        }
+
+        this.confusionSession = null;
+        this.confusionMode = null;
+        this.fluencySession = new FluencyDrillSession(characters);
+
+        ui.hideEducationalPanel();
+        this.awaitingNextCard = false;
+        this.nextCard();
+        return true;
+    }
+
+    /**
+     * Finish the fluency session and report each character's best time
+     */
+    endFluencySession() {
+        const progress = this.fluencySession.getProgress();
+        this.fluencySession = null;
+        this.currentCard = null;
+
+        ui.hideChoices();
+        ui.setTextInputVisible(false);
+        ui.showFluencySessionComplete(progress);
+    }
+
+    /**
+     * Feed a trial result into the active fluency session
+     * @param {boolean} correct
+     * @param {number} responseTime
+     */
+    recordFluencyTrial(correct, responseTime) {
+        if (!this.fluencySession) return;
+        this.fluencySession.recordAnswer(correct, responseTime);
+    }
+
     /**
      * Check if any levels should be unlocked
      */
     checkLevelUnlocks() {
         const currentUnlocked = this.data.settings.unlockedLevels;
 
-        // Check each level
-        for (let levelNum = 1; levelNum <= 3; levelNum++) {
+        // Check each level in curriculum order
+        for (const { number: levelNum } of ThaiData.getAllLevels()) {
             if (!currentUnlocked.includes(levelNum)) {
                 if (stats.shouldUnlockLevel(this.data, levelNum)) {
                     // Unlock level
                     this.data.settings.unlockedLevels.push(levelNum);
                     this.data.settings.currentLevel = levelNum;
 
-                    // Add cards for new level
+                    // Add cards for new level (the deck doesn't exist yet while loading)
+                    if (!this.deck) continue;
                     const levelChars = ThaiData.getLevelCharacters(levelNum);
                     levelChars.forEach(char => {
                         if (!this.deck.getCard(char)) {
                             this.deck.addCard(char);
                         }
                     });
+                    this.ensureModeCards();
 
                     // Show notification
                     ui.showLevelUnlock(levelNum);
@@ -347,6 +704,73 @@ class ThaiScriptApp {
         }
     }
 
+    /**
+     * Force a level open or shut, or hand it back to its unlock criteria
+     * @param {number} levelNumber
+     * @param {string|null} override - 'unlocked', 'locked' or null for automatic
+     */
+    setLevelOverride(levelNumber, override) {
+        const settings = this.data.settings;
+        const levelInfo = ThaiData.getLevelInfo(levelNumber);
+        if (!levelInfo || (!levelInfo.unlock && override === 'locked')) return; // First level stays open
+
+        settings.levelOverrides = settings.levelOverrides || {};
+        if (override) {
+            settings.levelOverrides[levelNumber] = override;
+        } else {
+            delete settings.levelOverrides[levelNumber];
+        }
+
+        if (override === 'locked' && settings.unlockedLevels.includes(levelNumber)) {
+            settings.unlockedLevels = settings.unlockedLevels.filter(level => level !== levelNumber);
+            if (settings.currentLevel === levelNumber) {
+                const open = ThaiData.getAllLevels().filter(level => settings.unlockedLevels.includes(level.number));
+                this.setCurrentLevel(open[open.length - 1].number);
+            }
+        }
+
+        this.checkLevelUnlocks();
+        this.data.deck = this.deck.toJSON();
+        this.saveData();
+        ui.renderLevelList(this.data);
+        ui.updateStats(this.data, stats);
+    }
+
+    /**
+     * Practise a different unlocked level
+     * Cards not started yet that fall outside the level are dropped; studied cards keep their schedule
+     * @param {number} levelNumber
+     */
+    setCurrentLevel(levelNumber) {
+        if (!this.data.settings.unlockedLevels.includes(levelNumber)) return;
+        this.data.settings.currentLevel = levelNumber;
+
+        const itemsByMode = new Map();
+        this.deck.getCards().forEach(card => {
+            if (!itemsByMode.has(card.mode)) {
+                itemsByMode.set(card.mode, new Set(Drills.getMode(card.mode).getItems(this.data)));
+            }
+            if (card.isNew && !itemsByMode.get(card.mode).has(card.character)) {
+                this.deck.removeCard(card.character, card.mode);
+            }
+        });
+
+        ThaiData.getLevelCharacters(levelNumber).forEach(char => {
+            if (!this.deck.getCard(char)) {
+                this.deck.addCard(char);
+            }
+        });
+        this.ensureModeCards();
+        this.data.deck = this.deck.toJSON();
+        this.saveData();
+        ui.renderLevelList(this.data);
+        ui.updateStats(this.data, stats);
+
+        ui.hideEducationalPanel();
+        this.awaitingNextCard = false;
+        this.nextCard();
+    }
+
     /**
      * Reveal correct answer (for Escape key)
      */
@@ -355,7 +779,7 @@ class ThaiScriptApp {
             return;
         }
 
-        const correctAnswer = ThaiData.getRomanization(this.currentCharacter);
+        const correctAnswer = this.getDrillMode().getAnswer(this.currentCharacter, this.data);
         ui.showFeedback(false, correctAnswer);
 
         // This counts as a wrong answer
@@ -365,8 +789,13 @@ class ThaiScriptApp {
         // Update statistics
         this.updateStatistics(false, responseTime);
 
-        // Review card with low quality (revealed)
-        this.currentCard.review(0, responseTime);
+        // Review card with low quality (revealed); anything typed so far still counts
+        const typed = ui.getInput();
+        const quality = stats.calculateQuality(false, responseTime,
+            this.describeWrongAttempt(typed, false, [], true));
+        this.reviewCurrentCard(quality, responseTime, typed, false);
+        this.recordConfusionTrial(false);
+        this.recordFluencyTrial(false, responseTime);
 
         // Update deck data
         this.data.deck = this.deck.toJSON();
@@ -385,12 +814,95 @@ class ThaiScriptApp {
         }, 2000);
     }
 
+    /**
+     * Save this profile's progress and reload into another
+     * @param {string} profileId
+     */
+    async switchProfile(profileId) {
+        if (profileId === profiles.getActive().id || !profiles.get(profileId)) return;
+
+        this.saveData();
+        await storage.flush();
+        profiles.setActive(profileId);
+        window.location.reload();
+    }
+
+    /**
+     * Create a profile and switch to it
+     * @param {string} name
+     * @returns {Promise<string|null>} - What's wrong with the name, if the profile wasn't created
+     */
+    async createProfile(name) {
+        const error = profiles.validateName(name);
+        if (error) return error;
+
+        await this.switchProfile(profiles.add(name).id);
+        return null;
+    }
+
+    /**
+     * Delete another profile and all of its progress
+     * @param {string} profileId
+     * @returns {Promise<boolean>}
+     */
+    async deleteProfile(profileId) {
+        if (profileId === profiles.getActive().id || !profiles.get(profileId)) return false;
+
+        let profileStorage;
+        try {
+            profileStorage = await this.openProfileStorage(profileId);
+        } catch (e) {
+            console.error('Error opening profile storage:', e);
+            return false;
+        }
+        if (!await profileStorage.destroy()) return false;
+
+        profiles.remove(profileId);
+        ui.renderProfiles();
+        return true;
+    }
+
+    /**
+     * Download a profile's backup without switching to it
+     * @param {string} profileId
+     */
+    async exportProfile(profileId) {
+        if (profileId === profiles.getActive().id) {
+            this.saveData();
+            await storage.downloadExport();
+            return;
+        }
+        let profileStorage = null;
+        try {
+            profileStorage = await this.openProfileStorage(profileId);
+            await profileStorage.downloadExport();
+        } catch (e) {
+            console.error('Error exporting profile:', e);
+            ui.showError(`Couldn't export "${profiles.get(profileId).name}": ${e.message}`);
+        } finally {
+            // Leave no connection open that would block deleting the profile's database later
+            await profileStorage?.close();
+        }
+    }
+
+    /**
+     * Open storage for a profile other than the active one
+     * @param {string} profileId
+     * @returns {Promise<Storage>}
+     */
+    async openProfileStorage(profileId) {
+        const profileStorage = new Storage();
+        await profileStorage.init(Profiles.getStorageKey(profileId), profiles.get(profileId).name);
+        return profileStorage;
+    }
+
     /**
      * Get app status for debugging
      */
     getStatus() {
         return {
             currentLevel: this.data.settings.currentLevel,
+            drillMode: this.getDrillModeId(),
             unlockedLevels: this.data.settings.unlockedLevels,
             deckStats: this.deck.getStats(),
             sessionStats: {
@@ -411,7 +923,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Create and initialize app
     window.app = new ThaiScriptApp();
-    window.app.init();
+    window.app.init().catch(e => {
+        console.error('Error initializing app:', e);
+        ui.showError(`Thai Script Master couldn't start: ${e.message}`);
+    });
 
     // Expose for debugging
     window.ThaiData = ThaiData;
@@ -0,0 +1,214 @@
+/**
+ * Confusion Pair Drills
+ * Interleaves the learner's most-confused character pairs until each is told apart reliably
+ */
+
+const DEFAULT_CONFUSION_PAIR_COUNT = 3;
+const DEFAULT_CONFUSION_TARGET_STREAK = 3;
+
+// How much one correct discrimination reduces a recorded confusion
+const CONFUSION_RELIEF = 0.25;
+
+// Give up on a pair after this many trials so a session always ends
+const CONFUSION_MAX_TRIALS = 12;
+
+// Picking between two characters is easier than recalling one, so a correct pick
+// counts as "correct but difficult" on the romanization card
+const CONFUSION_MAX_QUALITY = 3;
+
+class ConfusionDrillSession {
+    /**
+     * Create a session over a set of character pairs
+     * @param {object[]} pairs - [{ characters: [a, b], count }]
+     * @param {number} targetStreak - Consecutive correct answers needed to clear a pair
+     */
+    constructor(pairs, targetStreak = DEFAULT_CONFUSION_TARGET_STREAK) {
+        this.targetStreak = targetStreak;
+        this.pairs = pairs.map(pair => ({
+            characters: pair.characters,
+            count: pair.count,
+            streak: 0,
+            trials: 0,
+            correct: 0,
+            recent: [] // Last characters shown for this pair
+        }));
+        this.pairIndex = -1;
+        this.currentPair = null;
+    }
+
+    /**
+     * Merge both directions of each confusion and keep the most frequent pairs
+     * @param {object[]} confusionPairs - From storage.getConfusionPairs ({ shown, answered, count })
+     * @param {number} limit - Number of pairs to keep
+     * @returns {object[]} - [{ characters: [a, b], count }]
+     */
+    static rankPairs(confusionPairs, limit = DEFAULT_CONFUSION_PAIR_COUNT) {
+        const merged = new Map();
+
+        confusionPairs.forEach(({ shown, answered, count }) => {
+            if (shown === answered || !ThaiData.isValidCharacter(shown) || !ThaiData.isValidCharacter(answered)) {
+                return;
+            }
+            const characters = [shown, answered].sort();
+            const key = characters.join('|');
+            const existing = merged.get(key) || { characters, count: 0 };
+            existing.count += count;
+            merged.set(key, existing);
+        });
+
+        return Array.from(merged.values())
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Pick the next character to show
+     * Rotates through unfinished pairs; within a pair, shows either member at random
+     * but never the same one three times running
+     * @returns {string|null}
+     */
+    getNextCharacter() {
+        if (this.isComplete()) return null;
+
+        // Rotate to the next unfinished pair
+        do {
+            this.pairIndex = (this.pairIndex + 1) % this.pairs.length;
+        } while (this.isPairFinished(this.pairs[this.pairIndex]));
+
+        const pair = this.pairs[this.pairIndex];
+        const [a, b] = pair.characters;
+        let character = Math.random() < 0.5 ? a : b;
+
+        const [last, beforeLast] = pair.recent;
+        if (last === character && beforeLast === character) {
+            character = character === a ? b : a;
+        }
+
+        pair.recent = [character, last].filter(Boolean);
+        this.currentPair = pair;
+        return character;
+    }
+
+    /**
+     * Get the other member of the pair currently being drilled
+     * @param {string} character
+     * @returns {string|null}
+     */
+    getPartner(character) {
+        if (!this.currentPair) return null;
+        return this.currentPair.characters.find(c => c !== character) || null;
+    }
+
+    /**
+     * Record a trial for the current pair
+     * @param {boolean} correct
+     */
+    recordAnswer(correct) {
+        const pair = this.currentPair;
+        if (!pair) return;
+
+        pair.trials++;
+        if (correct) {
+            pair.correct++;
+            pair.streak++;
+        } else {
+            pair.streak = 0;
+        }
+    }
+
+    /**
+     * Check whether a pair has reached its target streak
+     * @param {object} pair
+     * @returns {boolean}
+     */
+    isPairCleared(pair) {
+        return pair.streak >= this.targetStreak;
+    }
+
+    /**
+     * Check whether a pair needs no more trials
+     * @param {object} pair
+     * @returns {boolean}
+     */
+    isPairFinished(pair) {
+        return this.isPairCleared(pair) || pair.trials >= CONFUSION_MAX_TRIALS;
+    }
+
+    /**
+     * Check whether every pair is finished
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.pairs.every(pair => this.isPairFinished(pair));
+    }
+
+    /**
+     * Get per-pair progress for display
+     * @returns {object[]}
+     */
+    getProgress() {
+        return this.pairs.map(pair => ({
+            characters: pair.characters,
+            streak: Math.min(pair.streak, this.targetStreak),
+            target: this.targetStreak,
+            trials: pair.trials,
+            correct: pair.correct,
+            cleared: this.isPairCleared(pair)
+        }));
+    }
+
+    /**
+     * Drill mode used for each trial: pick between the two members of the pair
+     * @returns {object}
+     */
+    getMode() {
+        const session = this;
+
+        return {
+            name: 'Confusion Pairs',
+            choicesOnly: true,
+            maxQuality: CONFUSION_MAX_QUALITY,
+
+            getPrompt(item) {
+                const pairNumber = session.pairs.indexOf(session.currentPair) + 1;
+                const streak = session.currentPair ? session.currentPair.streak : 0;
+                return {
+                    text: ThaiData.getDisplayForm(item),
+                    hint: `Pair ${pairNumber}/${session.pairs.length} · ${streak}/${session.targetStreak} in a row`
+                };
+            },
+
+            getAnswer(item, data) {
+                return Drills.getChoiceLabel(item, data);
+            },
+
+            // Fixed order within a pair so keys 1/2 always mean the same character
+            getChoices(item, data) {
+                return session.currentPair.characters.map((char, index) => (
+                    { value: char, label: Drills.getChoiceLabel(char, data), key: String(index + 1) }
+                ));
+            },
+
+            isCorrect(item, input) {
+                return input === item;
+            },
+
+            getConfusions(item, input) {
+                return input === session.getPartner(item) ? [{ character: input, weight: 1 }] : [];
+            },
+
+            explain(item, input, data) {
+                ui.showEducationalPanel(item, input, {
+                    retypeAnswer: ThaiData.getCharacterData(item).name,
+                    scheme: Drills.getDisplayScheme(data),
+                    learnerConfusions: storage.getConfusionsFor(data, item)
+                });
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfusionDrillSession, CONFUSION_RELIEF };
+}
@@ -0,0 +1,461 @@
+/**
+ * Analytics Dashboard
+ * Renders review history, workload forecast, mastery, fluency and calendar charts as plain SVG so it works offline
+ */
+
+const DASHBOARD_RANGES = [30, 90, 365];
+const SVG_NS_ATTR = 'xmlns="http://www.w3.org/2000/svg"';
+
+// Days ahead shown in the workload forecast
+const FORECAST_DAYS = 30;
+
+// Rows in the fluency table
+const FLUENCY_TABLE_ROWS = 15;
+
+// Consonants per row in the mastery grid, like a classroom alphabet chart
+const ALPHABET_CHART_COLUMNS = 8;
+
+// The tone drill's cards are syllables, so its mastery grid falls back to romanization cards
+const NON_CHARACTER_MODES = ['tone'];
+
+class Dashboard {
+    constructor() {
+        this.elements = {
+            dashboardBtn: document.getElementById('dashboardBtn'),
+            dashboardModal: document.getElementById('dashboardModal'),
+            closeDashboard: document.getElementById('closeDashboard'),
+            dashboardSummary: document.getElementById('dashboardSummary'),
+            dashboardRanges: document.getElementById('dashboardRanges'),
+            activityChart: document.getElementById('activityChart'),
+            studyTimeByMode: document.getElementById('studyTimeByMode'),
+            forecastSummary: document.getElementById('forecastSummary'),
+            forecastChart: document.getElementById('forecastChart'),
+            masteryGrid: document.getElementById('masteryGrid'),
+            fluencyTable: document.getElementById('fluencyTable'),
+            practiceSlowest: document.getElementById('practiceSlowest'),
+            calendarHeatmap: document.getElementById('calendarHeatmap'),
+            difficultList: document.getElementById('difficultList'),
+            masteredList: document.getElementById('masteredList')
+        };
+
+        this.range = DASHBOARD_RANGES[0];
+        this.data = null;
+    }
+
+    /**
+     * Open the dashboard and draw everything from current data
+     * @param {object} data - Storage data
+     */
+    show(data) {
+        this.data = data;
+        this.render();
+        this.elements.dashboardModal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dashboard
+     */
+    hide() {
+        this.elements.dashboardModal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the dashboard is open
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.elements.dashboardModal?.style.display === 'flex';
+    }
+
+    /**
+     * Change the number of days in the review chart
+     * @param {number} days
+     */
+    setRange(days) {
+        this.range = DASHBOARD_RANGES.includes(days) ? days : DASHBOARD_RANGES[0];
+        if (this.data) {
+            this.renderActivity();
+        }
+    }
+
+    /**
+     * Draw every section
+     */
+    render() {
+        const data = this.data;
+        const mode = this.getGridMode();
+
+        this.renderSummary();
+        this.renderActivity();
+        this.elements.studyTimeByMode.innerHTML = this.renderStudyTime(data);
+        this.renderForecast(stats.getForecast(data, FORECAST_DAYS));
+        this.elements.masteryGrid.innerHTML = this.renderMasteryGrid(data, mode);
+        this.elements.fluencyTable.innerHTML = this.renderFluencyTable(
+            stats.getResponseTimeProfiles(data, Drills.resolveModeId(data.settings.drillMode))
+        );
+        this.elements.calendarHeatmap.innerHTML = this.renderHeatmap(stats.getDailyStatsHistory(data, 365));
+        this.elements.difficultList.innerHTML = this.renderCharacterList(
+            stats.getDifficultCharacters(data, 10, mode), 'No reviews yet'
+        );
+        this.elements.masteredList.innerHTML = this.renderCharacterList(
+            stats.getMasteredCharacters(data, 10, mode), 'Nothing mastered yet - keep going!'
+        );
+    }
+
+    /**
+     * Drill mode whose cards the grid and lists show
+     * @returns {string}
+     */
+    getGridMode() {
+        const mode = Drills.resolveModeId(this.data.settings.drillMode);
+        return NON_CHARACTER_MODES.includes(mode) ? 'roman' : mode;
+    }
+
+    /**
+     * Totals and current level progress
+     */
+    renderSummary() {
+        const totals = stats.getTotalStats(this.data);
+        const level = stats.getLevelProgress(this.data);
+        const accuracy = stats.calculateOverallAccuracy(this.data);
+
+        const items = [
+            ['Reviews', stats.formatNumber(totals.totalReviews)],
+            ['Accuracy', stats.formatPercentage(accuracy)],
+            ['Mature Cards', stats.formatNumber(totals.matureCards)],
+            ['Study Time', stats.formatDuration(this.data.stats.totalTimeSpent || 0)],
+            [`Level ${level.level}`, `${level.masteredChars}/${level.totalChars} mastered`]
+        ];
+
+        this.elements.dashboardSummary.innerHTML = items.map(([label, value]) => `
+            <div class="stat-item">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value">${value}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Review chart and its range buttons
+     */
+    renderActivity() {
+        this.elements.dashboardRanges.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.days) === this.range);
+        });
+        this.elements.activityChart.innerHTML = this.renderActivityChart(
+            stats.getDailyStatsHistory(this.data, this.range)
+        );
+    }
+
+    /**
+     * Bars for reviews per day with an accuracy line on top
+     * @param {object[]} history - From stats.getDailyStatsHistory
+     * @returns {string} - SVG markup
+     */
+    renderActivityChart(history) {
+        const width = 600;
+        const height = 200;
+        const pad = { top: 10, right: 36, bottom: 22, left: 36 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const maxReviews = Math.max(1, ...history.map(day => day.reviews));
+        const step = plotWidth / history.length;
+        const barWidth = Math.max(1, step * 0.8);
+
+        const bars = history.map((day, i) => {
+            const barHeight = (day.reviews / maxReviews) * plotHeight;
+            const x = pad.left + i * step + (step - barWidth) / 2;
+            const y = pad.top + plotHeight - barHeight;
+            return `<rect class="chart-bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}">` +
+                `<title>${day.date}: ${day.reviews} reviews, ${stats.formatPercentage(day.accuracy, 0)}, ` +
+                `${stats.formatDuration(day.timeSpent || 0)} studied</title></rect>`;
+        }).join('');
+
+        // Accuracy only means something on days with reviews
+        const points = history
+            .map((day, i) => day.reviews > 0
+                ? `${(pad.left + (i + 0.5) * step).toFixed(1)},${(pad.top + (1 - day.accuracy / 100) * plotHeight).toFixed(1)}`
+                : null)
+            .filter(Boolean)
+            .join(' ');
+
+        const bottom = pad.top + plotHeight;
+        const first = history[0]?.date || '';
+        const last = history[history.length - 1]?.date || '';
+
+        return `<svg ${SVG_NS_ATTR} class="activity-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Reviews and accuracy per day">
+            <line class="chart-axis" x1="${pad.left}" y1="${bottom}" x2="${width - pad.right}" y2="${bottom}"/>
+            <text class="chart-label" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${maxReviews}</text>
+            <text class="chart-label" x="${pad.left - 4}" y="${bottom}" text-anchor="end">0</text>
+            <text class="chart-label accuracy" x="${width - pad.right + 4}" y="${pad.top + 8}">100%</text>
+            <text class="chart-label accuracy" x="${width - pad.right + 4}" y="${bottom}">0%</text>
+            ${bars}
+            ${points ? `<polyline class="chart-accuracy" points="${points}"/>` : ''}
+            <text class="chart-label" x="${pad.left}" y="${height - 4}">${first}</text>
+            <text class="chart-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${last}</text>
+        </svg>`;
+    }
+
+    /**
+     * Study time per drill mode, all time and over the last 30 days
+     * @param {object} data - Storage data
+     * @returns {string} - HTML markup
+     */
+    renderStudyTime(data) {
+        const allTime = stats.getTimeByMode(data);
+        if (allTime.length === 0) {
+            return '<p class="setting-note">No study time recorded yet</p>';
+        }
+
+        const recent = new Map(stats.getTimeByMode(data, 30).map(entry => [entry.mode, entry.time]));
+        const longest = allTime[0].time;
+        const modeName = mode => mode === 'confusion' ? 'Confusion Pairs' : Drills.getMode(mode).name;
+
+        return `<table class="scheduler-table">
+            <thead><tr><th>Mode</th><th>All Time</th><th>Last 30 Days</th></tr></thead>
+            <tbody>${allTime.map(({ mode, time }) => `
+                <tr>
+                    <td>${modeName(mode)}<div class="time-bar" style="width: ${(time / longest) * 100}%"></div></td>
+                    <td>${stats.formatDuration(time)}</td>
+                    <td>${stats.formatDuration(recent.get(mode) || 0)}</td>
+                </tr>
+            `).join('')}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Upcoming workload and predicted retention
+     * @param {object} forecast - From stats.getForecast
+     */
+    renderForecast(forecast) {
+        const minutes = Math.max(1, Math.round(forecast.averageMinutes));
+        const lastDay = forecast.days[forecast.days.length - 1];
+        this.elements.forecastSummary.textContent =
+            `Predicted retention ${stats.formatPercentage(forecast.retention, 0)} today, ` +
+            `${stats.formatPercentage(lastDay?.retention || 0, 0)} by ${lastDay?.date || 'then'} · ` +
+            `${forecast.totalReviews} reviews due in the next ${forecast.days.length} days · ` +
+            `about ${minutes} min/day with ${this.data.deck.newCardsPerDay || 5} new cards/day`;
+        this.elements.forecastChart.innerHTML = this.renderForecastChart(forecast.days);
+    }
+
+    /**
+     * Stacked bars of projected reviews and new cards per upcoming day, with predicted retention on top
+     * @param {object[]} days - From stats.getForecast
+     * @returns {string} - SVG markup
+     */
+    renderForecastChart(days) {
+        const width = 600;
+        const height = 160;
+        const pad = { top: 10, right: 36, bottom: 22, left: 36 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const maxCards = Math.max(1, ...days.map(day => day.reviews + day.newCards));
+        const step = plotWidth / days.length;
+        const barWidth = Math.max(1, step * 0.8);
+        const bottom = pad.top + plotHeight;
+
+        const bars = days.map((day, i) => {
+            const x = (pad.left + i * step + (step - barWidth) / 2).toFixed(1);
+            const reviewHeight = (day.reviews / maxCards) * plotHeight;
+            const newHeight = (day.newCards / maxCards) * plotHeight;
+            const tooltip = `<title>${day.date}: ${day.reviews} reviews, ${day.newCards} new, ~${Math.round(day.minutes)} min, ` +
+                `${stats.formatPercentage(day.retention, 0)} predicted retention</title>`;
+            return `<g>${tooltip}` +
+                `<rect class="chart-bar" x="${x}" y="${(bottom - reviewHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${reviewHeight.toFixed(1)}"/>` +
+                `<rect class="chart-bar new" x="${x}" y="${(bottom - reviewHeight - newHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${newHeight.toFixed(1)}"/>` +
+                `</g>`;
+        }).join('');
+
+        const points = days
+            .map((day, i) => `${(pad.left + (i + 0.5) * step).toFixed(1)},${(pad.top + (1 - day.retention / 100) * plotHeight).toFixed(1)}`)
+            .join(' ');
+
+        return `<svg ${SVG_NS_ATTR} class="activity-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Reviews due and predicted retention per day over the next ${days.length} days">
+            <line class="chart-axis" x1="${pad.left}" y1="${bottom}" x2="${width - pad.right}" y2="${bottom}"/>
+            <text class="chart-label" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${maxCards}</text>
+            <text class="chart-label" x="${pad.left - 4}" y="${bottom}" text-anchor="end">0</text>
+            <text class="chart-label accuracy" x="${width - pad.right + 4}" y="${pad.top + 8}">100%</text>
+            <text class="chart-label accuracy" x="${width - pad.right + 4}" y="${bottom}">0%</text>
+            ${bars}
+            ${points ? `<polyline class="chart-accuracy" points="${points}"/>` : ''}
+            <text class="chart-label" x="${pad.left}" y="${height - 4}">Today</text>
+            <text class="chart-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${days[days.length - 1]?.date || ''}</text>
+        </svg>`;
+    }
+
+    /**
+     * Consonants in alphabet order followed by vowels, coloured by mastery
+     * @param {object} data - Storage data
+     * @param {string} mode - Drill mode whose cards to show
+     * @returns {string} - HTML markup
+     */
+    renderMasteryGrid(data, mode) {
+        const cell = item => {
+            const detail = item.totalReviews > 0
+                ? `${item.state}, ${stats.formatPercentage(item.accuracy, 0)} of ${item.totalReviews} reviews, interval ${item.interval}d`
+                : 'not studied yet';
+            return `<div class="mastery-cell mastery-${item.state}${item.struggling ? ' struggling' : ''}" title="${ThaiData.getDisplayForm(item.character)}: ${detail}">` +
+                `${ThaiData.getDisplayForm(item.character)}</div>`;
+        };
+
+        const consonants = stats.getCharacterMastery(data, ThaiData.getConsonants(), mode);
+        const vowels = stats.getCharacterMastery(data, ThaiData.getVowels(), mode);
+
+        return `
+            <p class="setting-note">${Drills.getMode(mode).name} cards</p>
+            <div class="mastery-chart" style="grid-template-columns: repeat(${ALPHABET_CHART_COLUMNS}, 1fr);">
+                ${consonants.map(cell).join('')}
+            </div>
+            <div class="mastery-chart vowels" style="grid-template-columns: repeat(${ALPHABET_CHART_COLUMNS}, 1fr);">
+                ${vowels.map(cell).join('')}
+            </div>
+            <div class="mastery-legend">
+                ${['new', 'learning', 'mature', 'mastered'].map(state =>
+                    `<span><i class="mastery-swatch mastery-${state}"></i>${state}</span>`).join('')}
+                <span><i class="mastery-swatch struggling"></i>struggling</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Characters ranked by median response time, with their spread and recent trend
+     * @param {object[]} profiles - From stats.getResponseTimeProfiles, slowest first
+     * @returns {string} - HTML markup
+     */
+    renderFluencyTable(profiles) {
+        if (profiles.length === 0) {
+            return '<p class="setting-note">No timed answers yet</p>';
+        }
+
+        const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+        const trend = profile => {
+            if (profile.trend < -250) return `<span class="trend faster" title="Getting faster">↓ ${seconds(-profile.trend)}</span>`;
+            if (profile.trend > 250) return `<span class="trend slower" title="Getting slower">↑ ${seconds(profile.trend)}</span>`;
+            return '<span class="trend">–</span>';
+        };
+
+        const rows = profiles.slice(0, FLUENCY_TABLE_ROWS).map(profile => `
+            <tr class="${profile.slow ? 'slow' : ''}">
+                <td class="character-list-char">${ThaiData.getDisplayForm(profile.character)}</td>
+                <td>${seconds(profile.median)}</td>
+                <td>${seconds(profile.p90)}</td>
+                <td>${trend(profile)}</td>
+                <td>${this.renderSparkline(profile.recent)}</td>
+                <td>${profile.slow ? '<span class="slow-badge">slow</span>' : ''}</td>
+            </tr>
+        `).join('');
+
+        return `<table class="scheduler-table fluency-table">
+            <thead><tr><th></th><th>Median</th><th>p90</th><th>Trend</th><th>Recent</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Tiny line of recent response times, oldest on the left
+     * @param {number[]} times
+     * @returns {string} - SVG markup
+     */
+    renderSparkline(times) {
+        if (times.length < 2) return '';
+        const width = 60;
+        const height = 16;
+        const max = Math.max(...times);
+        const min = Math.min(...times);
+        const span = Math.max(1, max - min);
+        const points = times.map((time, i) =>
+            `${((i / (times.length - 1)) * width).toFixed(1)},${(height - 1 - ((time - min) / span) * (height - 2)).toFixed(1)}`
+        ).join(' ');
+        return `<svg ${SVG_NS_ATTR} class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"><polyline points="${points}"/></svg>`;
+    }
+
+    /**
+     * Calendar heatmap: one column per week, one row per weekday
+     * @param {object[]} history - From stats.getDailyStatsHistory, oldest first
+     * @returns {string} - SVG markup
+     */
+    renderHeatmap(history) {
+        const size = 11;
+        const gap = 2;
+        const left = 16;
+        const maxReviews = Math.max(1, ...history.map(day => day.reviews));
+        const weekday = key => {
+            const [year, month, day] = key.split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        };
+        const offset = history.length > 0 ? weekday(history[0].date) : 0;
+
+        const cells = history.map((day, i) => {
+            const column = Math.floor((i + offset) / 7);
+            const row = (i + offset) % 7;
+            const level = day.reviews > 0 ? Math.ceil((day.reviews / maxReviews) * 4) : 0;
+            return `<rect class="heat-${level}" x="${left + column * (size + gap)}" y="${row * (size + gap)}" width="${size}" height="${size}" rx="2">` +
+                `<title>${day.date}: ${day.reviews} reviews</title></rect>`;
+        }).join('');
+
+        const columns = Math.ceil((history.length + offset) / 7);
+        const width = left + columns * (size + gap);
+        const height = 7 * (size + gap);
+        const dayLabels = [[1, 'M'], [3, 'W'], [5, 'F']].map(([row, label]) =>
+            `<text class="chart-label" x="0" y="${row * (size + gap) + size - 2}">${label}</text>`).join('');
+
+        return `<svg ${SVG_NS_ATTR} class="calendar-heatmap" viewBox="0 0 ${width} ${height}" role="img" aria-label="Reviews per day over the last year">
+            ${dayLabels}
+            ${cells}
+        </svg>`;
+    }
+
+    /**
+     * List of characters with accuracy and review counts
+     * @param {object[]} items - From stats.getDifficultCharacters or getMasteredCharacters
+     * @param {string} emptyMessage
+     * @returns {string} - HTML markup
+     */
+    renderCharacterList(items, emptyMessage) {
+        if (items.length === 0) {
+            return `<p class="setting-note">${emptyMessage}</p>`;
+        }
+
+        return `<ul class="character-list">${items.map(item => `
+            <li>
+                <span class="character-list-char">${ThaiData.getDisplayForm(item.character)}</span>
+                <span class="character-list-name">${ThaiData.getCharacterData(item.character)?.name || ''}</span>
+                <span class="character-list-stats">${stats.formatPercentage(item.accuracy, 0)} · ${item.totalReviews} reviews</span>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    /**
+     * Wire up the dashboard button, range buttons and closing
+     * @param {ThaiScriptApp} app
+     */
+    setupListeners(app) {
+        this.elements.dashboardBtn?.addEventListener('click', () => this.show(app.data));
+        this.elements.closeDashboard?.addEventListener('click', () => this.hide());
+        this.elements.dashboardModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.dashboardModal) {
+                this.hide();
+            }
+        });
+
+        this.elements.practiceSlowest?.addEventListener('click', () => {
+            this.hide();
+            app.startFluencySession();
+        });
+
+        this.elements.dashboardRanges?.addEventListener('click', (e) => {
+            const days = parseInt(e.target.dataset?.days);
+            if (days) {
+                this.setRange(days);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const dashboard = new Dashboard();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Dashboard, dashboard };
+}
@@ -1,13 +1,16 @@
 /**
  * Thai Character Data Layer
- * Contains all Thai consonants with RTGS romanization and educational metadata
+ * Contains all Thai consonants and vowels with RTGS romanization and educational metadata
  */
 
 // Thai Consonant Mappings with Educational Content
+// roman is the sound at the start of a syllable, finalRoman the sound at the end
+// (consonants never written as finals have no finalRoman)
 const THAI_CHARACTERS = {
     // Ko class
     'ก': {
         roman: 'k',
+        finalRoman: 'k',
         class: 'mid',
         frequency: 'very-high',
         name: 'ko kai',
@@ -18,6 +21,7 @@ const THAI_CHARACTERS = {
     },
     'ข': {
         roman: 'kh',
+        finalRoman: 'k',
         class: 'high',
         frequency: 'high',
         name: 'kho khai',
@@ -38,6 +42,7 @@ const THAI_CHARACTERS = {
     },
     'ค': {
         roman: 'kh',
+        finalRoman: 'k',
         class: 'low',
         frequency: 'high',
         name: 'kho khwai',
@@ -58,6 +63,7 @@ const THAI_CHARACTERS = {
     },
     'ฆ': {
         roman: 'kh',
+        finalRoman: 'k',
         class: 'low',
         frequency: 'low',
         name: 'kho rakhang',
@@ -70,6 +76,7 @@ const THAI_CHARACTERS = {
     // Ngo
     'ง': {
         roman: 'ng',
+        finalRoman: 'ng',
         class: 'low',
         frequency: 'very-high',
         name: 'ngo ngu',
@@ -82,6 +89,7 @@ const THAI_CHARACTERS = {
     // Cho class
     'จ': {
         roman: 'ch',
+        finalRoman: 't',
         class: 'mid',
         frequency: 'high',
         name: 'cho chan',
@@ -102,6 +110,7 @@ const THAI_CHARACTERS = {
     },
     'ช': {
         roman: 'ch',
+        finalRoman: 't',
         class: 'low',
         frequency: 'high',
         name: 'cho chang',
@@ -112,6 +121,7 @@ const THAI_CHARACTERS = {
     },
     'ซ': {
         roman: 's',
+        finalRoman: 't',
         class: 'low',
         frequency: 'medium',
         name: 'so so',
@@ -134,6 +144,7 @@ const THAI_CHARACTERS = {
     // Yo class
     'ญ': {
         roman: 'y',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'medium',
         name: 'yo ying',
@@ -146,6 +157,7 @@ const THAI_CHARACTERS = {
     // Do/To class
     'ฎ': {
         roman: 'd',
+        finalRoman: 't',
         class: 'mid',
         frequency: 'low',
         name: 'do chada',
@@ -156,6 +168,7 @@ const THAI_CHARACTERS = {
     },
     'ฏ': {
         roman: 't',
+        finalRoman: 't',
         class: 'mid',
         frequency: 'low',
         name: 'to patak',
@@ -166,6 +179,7 @@ const THAI_CHARACTERS = {
     },
     'ฐ': {
         roman: 'th',
+        finalRoman: 't',
         class: 'high',
         frequency: 'low',
         name: 'tho than',
@@ -176,6 +190,7 @@ const THAI_CHARACTERS = {
     },
     'ฑ': {
         roman: 'th',
+        finalRoman: 't',
         class: 'low',
         frequency: 'low',
         name: 'tho montho',
@@ -186,6 +201,7 @@ const THAI_CHARACTERS = {
     },
     'ฒ': {
         roman: 'th',
+        finalRoman: 't',
         class: 'low',
         frequency: 'low',
         name: 'tho phu thao',
@@ -196,6 +212,7 @@ const THAI_CHARACTERS = {
     },
     'ณ': {
         roman: 'n',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'medium',
         name: 'no nen',
@@ -206,6 +223,7 @@ const THAI_CHARACTERS = {
     },
     'ด': {
         roman: 'd',
+        finalRoman: 't',
         class: 'mid',
         frequency: 'very-high',
         name: 'do dek',
@@ -216,6 +234,7 @@ const THAI_CHARACTERS = {
     },
     'ต': {
         roman: 't',
+        finalRoman: 't',
         class: 'mid',
         frequency: 'very-high',
         name: 'to tao',
@@ -226,6 +245,7 @@ const THAI_CHARACTERS = {
     },
     'ถ': {
         roman: 'th',
+        finalRoman: 't',
         class: 'high',
         frequency: 'high',
         name: 'tho thung',
@@ -236,6 +256,7 @@ const THAI_CHARACTERS = {
     },
     'ท': {
         roman: 'th',
+        finalRoman: 't',
         class: 'low',
         frequency: 'high',
         name: 'tho thahan',
@@ -246,6 +267,7 @@ const THAI_CHARACTERS = {
     },
     'ธ': {
         roman: 'th',
+        finalRoman: 't',
         class: 'low',
         frequency: 'medium',
         name: 'tho thong',
@@ -256,6 +278,7 @@ const THAI_CHARACTERS = {
     },
     'น': {
         roman: 'n',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'very-high',
         name: 'no nu',
@@ -268,6 +291,7 @@ const THAI_CHARACTERS = {
     // Bo/Po class
     'บ': {
         roman: 'b',
+        finalRoman: 'p',
         class: 'mid',
         frequency: 'high',
         name: 'bo baimai',
@@ -278,6 +302,7 @@ const THAI_CHARACTERS = {
     },
     'ป': {
         roman: 'p',
+        finalRoman: 'p',
         class: 'mid',
         frequency: 'very-high',
         name: 'po pla',
@@ -308,6 +333,7 @@ const THAI_CHARACTERS = {
     },
     'พ': {
         roman: 'ph',
+        finalRoman: 'p',
         class: 'low',
         frequency: 'high',
         name: 'pho phan',
@@ -318,6 +344,7 @@ const THAI_CHARACTERS = {
     },
     'ฟ': {
         roman: 'f',
+        finalRoman: 'p',
         class: 'low',
         frequency: 'medium',
         name: 'fo fan',
@@ -328,6 +355,7 @@ const THAI_CHARACTERS = {
     },
     'ภ': {
         roman: 'ph',
+        finalRoman: 'p',
         class: 'low',
         frequency: 'medium',
         name: 'pho samphao',
@@ -338,6 +366,7 @@ const THAI_CHARACTERS = {
     },
     'ม': {
         roman: 'm',
+        finalRoman: 'm',
         class: 'low',
         frequency: 'very-high',
         name: 'mo ma',
@@ -350,6 +379,7 @@ const THAI_CHARACTERS = {
     // Yo/Ro/Lo class
     'ย': {
         roman: 'y',
+        finalRoman: 'y',
         class: 'low',
         frequency: 'very-high',
         name: 'yo yak',
@@ -360,6 +390,7 @@ const THAI_CHARACTERS = {
     },
     'ร': {
         roman: 'r',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'very-high',
         name: 'ro ruea',
@@ -380,6 +411,7 @@ const THAI_CHARACTERS = {
     },
     'ล': {
         roman: 'l',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'very-high',
         name: 'lo ling',
@@ -400,6 +432,7 @@ const THAI_CHARACTERS = {
     },
     'ว': {
         roman: 'w',
+        finalRoman: 'w',
         class: 'low',
         frequency: 'very-high',
         name: 'wo waen',
@@ -410,6 +443,7 @@ const THAI_CHARACTERS = {
     },
     'ศ': {
         roman: 's',
+        finalRoman: 't',
         class: 'high',
         frequency: 'medium',
         name: 'so sala',
@@ -420,6 +454,7 @@ const THAI_CHARACTERS = {
     },
     'ษ': {
         roman: 's',
+        finalRoman: 't',
         class: 'high',
         frequency: 'medium',
         name: 'so rue si',
@@ -430,6 +465,7 @@ const THAI_CHARACTERS = {
     },
     'ส': {
         roman: 's',
+        finalRoman: 't',
         class: 'high',
         frequency: 'very-high',
         name: 'so suea',
@@ -452,6 +488,7 @@ const THAI_CHARACTERS = {
     },
     'ฬ': {
         roman: 'l',
+        finalRoman: 'n',
         class: 'low',
         frequency: 'rare',
         name: 'lo chula',
@@ -482,6 +519,497 @@ const THAI_CHARACTERS = {
     }
 };
 
+// Vowel forms are keyed with ◌ (U+25CC) marking where the consonant goes.
+// A trailing ◌ marks a form that needs a final consonant.
+const VOWEL_PLACEHOLDER = '◌';
+const VOWEL_CARRIER = 'อ';
+
+// Thai Vowel Mappings with Educational Content
+const THAI_VOWELS = {
+    // A
+    '◌ะ': {
+        roman: 'a',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'sara a',
+        explanation: 'Short A like "u" in "cut". Clipped and abrupt - the syllable ends with a small catch in the throat.',
+        mnemonic: 'ะ looks like two little stops stacked up. Two stops = stop short! Quick "a".',
+        visualFeatures: ['Two small loops stacked vertically', 'Written AFTER the consonant', 'Looks like a colon with tails'],
+        confusesWith: ['◌า', '◌ั◌']
+    },
+    '◌ั◌': {
+        roman: 'a',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'mai han-akat',
+        explanation: 'Short A when a final consonant follows. ะ changes into this small mark above the consonant, as in กัน (kan).',
+        mnemonic: 'ั is a tiny bowl sitting on top - the short "a" got squashed when a final consonant moved in.',
+        visualFeatures: ['Small curved mark ABOVE the consonant', 'Always followed by a final consonant', 'Looks like a little bowl or tick'],
+        confusesWith: ['◌ะ', '◌ิ']
+    },
+    '◌า': {
+        roman: 'a',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'sara aa',
+        explanation: 'Long A like "a" in "father". Hold it twice as long as ะ. RTGS writes both as "a" - length is the difference.',
+        mnemonic: 'า is a tall walking stick - lean on it and draaaaw out the "aa".',
+        visualFeatures: ['Single tall stroke after the consonant', 'Small hook at the top left', 'Same height as the consonant'],
+        confusesWith: ['◌ะ', '◌ำ']
+    },
+
+    // I
+    '◌ิ': {
+        roman: 'i',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'sara i',
+        explanation: 'Short I like "i" in "sit" but tighter. Quick and clipped.',
+        mnemonic: 'ิ is a plain hat with no feather - a short, plain "i".',
+        visualFeatures: ['Curved roof ABOVE the consonant', 'No extra stroke', 'Compare: ี has a tail'],
+        confusesWith: ['◌ี', '◌ึ']
+    },
+    '◌ี': {
+        roman: 'i',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'sara ii',
+        explanation: 'Long I like "ee" in "see". Same sound as ิ but held longer.',
+        mnemonic: 'ี is the hat with a feather sticking up - the extra stroke makes it looooong.',
+        visualFeatures: ['Curved roof ABOVE the consonant', 'Extra vertical stroke on the right', 'One stroke more than ิ'],
+        confusesWith: ['◌ิ', '◌ือ']
+    },
+
+    // UE
+    '◌ึ': {
+        roman: 'ue',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'medium',
+        name: 'sara ue',
+        explanation: 'Short UE - say "oo" but spread your lips like a smile. No English equivalent; it sits between "i" and "u".',
+        mnemonic: 'ึ is ิ with a little bubble on the right. Smile and blow a quick bubble: "ue"!',
+        visualFeatures: ['Roof ABOVE the consonant', 'Small loop on the right', 'Compare: ื has two strokes'],
+        confusesWith: ['◌ิ', '◌ือ']
+    },
+    '◌ือ': {
+        roman: 'ue',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'medium',
+        name: 'sara uee',
+        explanation: 'Long UE - the smiling "oo" held long. Written with a silent อ after it when there is no final consonant.',
+        mnemonic: 'ื has two antennae sticking up - two strokes = twice as long.',
+        visualFeatures: ['Roof with TWO short strokes on top', 'Trailing อ when no final consonant', 'Compare: ึ has a loop'],
+        confusesWith: ['◌ึ', '◌ี']
+    },
+
+    // U
+    '◌ุ': {
+        roman: 'u',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'high',
+        name: 'sara u',
+        explanation: 'Short U like "oo" in "book". Rounded lips, clipped.',
+        mnemonic: 'ุ is a single foot hanging below - one foot, short step: "u".',
+        visualFeatures: ['Hangs BELOW the consonant', 'Single hook shape', 'Compare: ู has a loop'],
+        confusesWith: ['◌ู']
+    },
+    '◌ู': {
+        roman: 'u',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'high',
+        name: 'sara uu',
+        explanation: 'Long U like "oo" in "food". Same as ุ but held longer.',
+        mnemonic: 'ู has a loop below like a long sock - long sock, long "uu".',
+        visualFeatures: ['Hangs BELOW the consonant', 'Hook with an extra loop', 'Longer than ุ'],
+        confusesWith: ['◌ุ']
+    },
+
+    // E
+    'เ◌ะ': {
+        roman: 'e',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'medium',
+        name: 'sara e',
+        explanation: 'Short E like "e" in "bet". เ is written BEFORE the consonant but pronounced after it.',
+        mnemonic: 'เ stands in front like a doorman; ะ at the back cuts it short.',
+        visualFeatures: ['เ written BEFORE the consonant', 'ะ written after', 'Wraps around the consonant'],
+        confusesWith: ['เ◌', 'แ◌ะ']
+    },
+    'เ◌็◌': {
+        roman: 'e',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'medium',
+        name: 'sara e (mai taikhu)',
+        explanation: 'Short E before a final consonant. ะ cannot sit before a final, so the mai taikhu ็ above marks the shortening, as in เล็ก (lek).',
+        mnemonic: '็ looks like a tiny 8 on top - a little squiggle that squeezes the vowel short.',
+        visualFeatures: ['เ BEFORE the consonant', 'Small squiggle ็ ABOVE', 'Always followed by a final consonant'],
+        confusesWith: ['เ◌ะ', 'เ◌']
+    },
+    'เ◌': {
+        roman: 'e',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'very-high',
+        name: 'sara ee',
+        explanation: 'Long E like "ay" in "day" without the glide at the end. Written before the consonant.',
+        mnemonic: 'เ is one tall hook standing alone in front - one hook, long "ee".',
+        visualFeatures: ['Single hook BEFORE the consonant', 'Looks like a small ล without the loop', 'Compare: แ has two hooks'],
+        confusesWith: ['แ◌', 'เ◌ะ']
+    },
+
+    // AE
+    'แ◌ะ': {
+        roman: 'ae',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'low',
+        name: 'sara ae',
+        explanation: 'Short AE like "a" in "cat". Mouth open wide, clipped.',
+        mnemonic: 'แ is two hooks in front, ะ cuts it short.',
+        visualFeatures: ['Double hook แ BEFORE the consonant', 'ะ after the consonant'],
+        confusesWith: ['แ◌', 'เ◌ะ']
+    },
+    'แ◌': {
+        roman: 'ae',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'high',
+        name: 'sara aae',
+        explanation: 'Long AE like "a" in "bad" said slowly. Open your mouth wider than for เ.',
+        mnemonic: 'แ is เ doubled - two hooks make the mouth open twice as wide: "ae".',
+        visualFeatures: ['Two hooks BEFORE the consonant', 'Looks like เเ joined', 'Compare: เ has one hook'],
+        confusesWith: ['เ◌', 'แ◌ะ']
+    },
+
+    // O
+    'โ◌ะ': {
+        roman: 'o',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'low',
+        name: 'sara o',
+        explanation: 'Short O like "o" in "go" but clipped. Often the vowel is invisible: a bare consonant cluster like คน (khon) carries this sound.',
+        mnemonic: 'โ is a tall flagpole in front; ะ at the back cuts it short.',
+        visualFeatures: ['Tall โ BEFORE the consonant', 'ะ after the consonant', 'Hidden when a final consonant follows'],
+        confusesWith: ['โ◌', 'เ◌าะ']
+    },
+    'โ◌': {
+        roman: 'o',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'high',
+        name: 'sara oo',
+        explanation: 'Long O like "o" in "go" held long, lips rounded.',
+        mnemonic: 'โ is a tall flagpole with a curl on top - stand tall and say "ooo".',
+        visualFeatures: ['Tall stroke BEFORE the consonant', 'Rises above the consonant', 'Curl at the top'],
+        confusesWith: ['◌อ', 'โ◌ะ']
+    },
+    'เ◌าะ': {
+        roman: 'o',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'low',
+        name: 'sara o (short aw)',
+        explanation: 'Short open O like "o" in "hot" (British). Three pieces wrap around the consonant.',
+        mnemonic: 'เ◌าะ is the short form of ◌อ - the าะ tail chops it short.',
+        visualFeatures: ['เ BEFORE the consonant', 'า and ะ after', 'Longest short vowel to write'],
+        confusesWith: ['◌อ', 'เ◌า']
+    },
+    '◌อ': {
+        roman: 'o',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'high',
+        name: 'sara or',
+        explanation: 'Long open O like "aw" in "saw". Here อ acts as a vowel, not a consonant.',
+        mnemonic: 'อ after a consonant opens the mouth like a basin - "aw".',
+        visualFeatures: ['อ written AFTER the consonant', 'Same letter as the อ consonant', 'Position tells you it is a vowel'],
+        confusesWith: ['โ◌', 'เ◌าะ']
+    },
+
+    // OE
+    'เ◌อะ': {
+        roman: 'oe',
+        length: 'short',
+        type: 'monophthong',
+        frequency: 'rare',
+        name: 'sara oe',
+        explanation: 'Short OE like "u" in "fur" but clipped. Rare in modern Thai.',
+        mnemonic: 'เ◌อ with ะ added - the "er" sound cut short.',
+        visualFeatures: ['เ BEFORE the consonant', 'อ and ะ after', 'Rare combination'],
+        confusesWith: ['เ◌อ']
+    },
+    'เ◌อ': {
+        roman: 'oe',
+        length: 'long',
+        type: 'monophthong',
+        frequency: 'medium',
+        name: 'sara oee',
+        explanation: 'Long OE like "ur" in "fur" without the R. Before a final consonant the อ becomes ิ, as in เดิน (doen).',
+        mnemonic: 'เ in front and อ behind sandwich the consonant - "err".',
+        visualFeatures: ['เ BEFORE the consonant', 'อ AFTER the consonant', 'Becomes เ◌ิ◌ with a final'],
+        confusesWith: ['เ◌อะ', '◌อ']
+    },
+
+    // Diphthongs
+    'เ◌ียะ': {
+        roman: 'ia',
+        length: 'short',
+        type: 'diphthong',
+        frequency: 'rare',
+        name: 'sara ia (short)',
+        explanation: 'Short IA - glide from "ee" to "a", clipped. Very rare.',
+        mnemonic: 'เ◌ีย with a ะ at the end to stop it short.',
+        visualFeatures: ['เ BEFORE', 'ี ABOVE', 'ย and ะ AFTER'],
+        confusesWith: ['เ◌ีย']
+    },
+    'เ◌ีย': {
+        roman: 'ia',
+        length: 'long',
+        type: 'diphthong',
+        frequency: 'high',
+        name: 'sara ia',
+        explanation: 'Long IA like "ee-ah" in one syllable, as in เรียน (rian, to study).',
+        mnemonic: 'เ + ี + ย spell it out: "ee" (ี) sliding into "ya" (ย).',
+        visualFeatures: ['เ BEFORE the consonant', 'ี ABOVE the consonant', 'ย AFTER the consonant'],
+        confusesWith: ['เ◌ือ', 'เ◌ียะ']
+    },
+    'เ◌ือะ': {
+        roman: 'uea',
+        length: 'short',
+        type: 'diphthong',
+        frequency: 'rare',
+        name: 'sara uea (short)',
+        explanation: 'Short UEA - glide from "ue" to "a", clipped. Very rare.',
+        mnemonic: 'เ◌ือ with a ะ stopping it short.',
+        visualFeatures: ['เ BEFORE', 'ื ABOVE', 'อ and ะ AFTER'],
+        confusesWith: ['เ◌ือ']
+    },
+    'เ◌ือ': {
+        roman: 'uea',
+        length: 'long',
+        type: 'diphthong',
+        frequency: 'medium',
+        name: 'sara uea',
+        explanation: 'Long UEA - smiling "ue" sliding into "a", as in เรือ (ruea, boat).',
+        mnemonic: 'The boat (เรือ) vowel: เ at the bow, ื as the mast, อ at the stern.',
+        visualFeatures: ['เ BEFORE the consonant', 'ื (two strokes) ABOVE', 'อ AFTER the consonant'],
+        confusesWith: ['เ◌ีย', 'เ◌ือะ']
+    },
+    '◌ัวะ': {
+        roman: 'ua',
+        length: 'short',
+        type: 'diphthong',
+        frequency: 'rare',
+        name: 'sara ua (short)',
+        explanation: 'Short UA - glide from "oo" to "a", clipped. Rare.',
+        mnemonic: '◌ัว with a ะ stopping it short.',
+        visualFeatures: ['ั ABOVE', 'ว and ะ AFTER'],
+        confusesWith: ['◌ัว']
+    },
+    '◌ัว': {
+        roman: 'ua',
+        length: 'long',
+        type: 'diphthong',
+        frequency: 'high',
+        name: 'sara ua',
+        explanation: 'Long UA like "oo-ah" in one syllable, as in ตัว (tua, body). With a final consonant the ั disappears: ◌ว◌.',
+        mnemonic: 'ว is a ring - round your lips like a ring for "oo", then open to "a".',
+        visualFeatures: ['ั ABOVE the consonant', 'ว AFTER the consonant', 'ั drops out when a final follows'],
+        confusesWith: ['◌ัวะ', '◌ั◌']
+    },
+
+    // Special forms
+    '◌ำ': {
+        roman: 'am',
+        length: 'short',
+        type: 'special',
+        frequency: 'very-high',
+        name: 'sara am',
+        explanation: 'AM - short "a" plus a built-in final M, as in ทำ (tham, to do). Counts as a live syllable.',
+        mnemonic: 'ำ is า wearing a little ring on top - the ring is the "m" closing your lips.',
+        visualFeatures: ['Small circle ABOVE the consonant', 'า stroke AFTER the consonant', 'One vowel, two parts'],
+        confusesWith: ['◌า']
+    },
+    'ใ◌': {
+        roman: 'ai',
+        length: 'short',
+        type: 'special',
+        frequency: 'high',
+        name: 'sara ai mai muan',
+        explanation: 'AI like "i" in "Thai". Same sound as ไ but used in only 20 specific words (ใจ, ใช้, ใน, ใหม่...).',
+        mnemonic: 'ใ has a curl at the top like rolled-up hair (muan). Rare curl = the 20 special words.',
+        visualFeatures: ['Stroke BEFORE the consonant', 'Top curls INWARD into a loop', 'Compare: ไ has an open flick'],
+        confusesWith: ['ไ◌']
+    },
+    'ไ◌': {
+        roman: 'ai',
+        length: 'short',
+        type: 'special',
+        frequency: 'very-high',
+        name: 'sara ai mai malai',
+        explanation: 'AI like "i" in "Thai". The usual way to write this sound.',
+        mnemonic: 'ไ has a flowing garland (malai) flick at the top - the common, everyday "ai".',
+        visualFeatures: ['Stroke BEFORE the consonant', 'Top flicks OUTWARD', 'Compare: ใ curls into a loop'],
+        confusesWith: ['ใ◌']
+    },
+    'เ◌า': {
+        roman: 'ao',
+        length: 'short',
+        type: 'special',
+        frequency: 'high',
+        name: 'sara ao',
+        explanation: 'AO like "ow" in "cow", as in เขา (khao, he/she).',
+        mnemonic: 'เ in front, า behind - "a" sliding into "o": ow!',
+        visualFeatures: ['เ BEFORE the consonant', 'า AFTER the consonant', 'No ะ at the end'],
+        confusesWith: ['เ◌าะ']
+    },
+    '◌ฤ': {
+        roman: 'rue',
+        display: '◌ฤ',
+        length: 'short',
+        type: 'special',
+        frequency: 'low',
+        name: 'rue (vowel)',
+        explanation: 'ฤ after a consonant is a vowel: "rue", "ri" or "roe" depending on the word, as in อังกฤษ (angkrit) and ทฤษฎี (thritsadi). Mostly Sanskrit loanwords.',
+        mnemonic: 'The same ฤ letter, but tucked after a consonant it stops being a consonant and only adds the "r" + vowel.',
+        visualFeatures: ['Same glyph as the ฤ consonant', 'Follows another consonant', 'Found in Sanskrit loanwords'],
+        confusesWith: ['ฤๅ']
+    },
+    'ฤๅ': {
+        roman: 'rue',
+        display: 'ฤๅ',
+        length: 'long',
+        type: 'special',
+        frequency: 'rare',
+        name: 'rue (long)',
+        explanation: 'Long RUE, written ฤ followed by the lakkhangyao ๅ. Appears in a handful of words like ฤๅษี (ruesi, hermit).',
+        mnemonic: 'ๅ is a long stick (lakkhangyao = long stick) that stretches ฤ into a long vowel.',
+        visualFeatures: ['ฤ followed by ๅ', 'ๅ looks like า without the hook', 'Stands alone, no consonant slot'],
+        confusesWith: ['◌ฤ']
+    }
+};
+
+// Consonant classes, in answer-key order, with the traditional memory sentences
+const CONSONANT_CLASSES = {
+    mid: {
+        label: 'Mid',
+        description: 'Nine consonants. The only class that can take all four tone marks.',
+        mnemonic: 'ไก่จิกเด็กตายบนปากโอ่ง',
+        mnemonicMeaning: 'gai jik dek dtai bon bpaak oong - "The chicken pecked the child, who died on the rim of the jar." One mid-class letter starts each word.'
+    },
+    high: {
+        label: 'High',
+        description: 'Eleven consonants, all voiceless and mostly aspirated. Unmarked live syllables take a rising tone.',
+        mnemonic: 'ผีฝากถุงข้าวสารให้ฉัน',
+        mnemonicMeaning: 'phi fak thung khao san hai chan - "The ghost left a bag of rice with me." One high-class letter starts each word.'
+    },
+    low: {
+        label: 'Low',
+        description: 'Everything else: the sonorants (ง ม น ย ร ล ว) and the low partners of high-class sounds (ค/ข, ท/ถ, พ/ผ, ซ/ส).',
+        mnemonic: '',
+        mnemonicMeaning: 'If a consonant is not in the mid or high sentence, it is low class.'
+    }
+};
+
+// Every final consonant collapses to one of eight sounds
+// Stops are unreleased and make a syllable dead; sonorants keep it live
+const FINAL_SOUNDS = {
+    k: { stop: true },
+    t: { stop: true },
+    p: { stop: true },
+    m: { stop: false },
+    n: { stop: false },
+    ng: { stop: false },
+    y: { stop: false },
+    w: { stop: false }
+};
+
+// Romanization schemes learners may have been taught
+// RTGS spellings are the `roman` field on each character; other schemes list only where they differ.
+// A spelling may be an array: the first entry is shown, every entry is accepted.
+const DEFAULT_ROMANIZATION_SCHEME = 'rtgs';
+
+const ROMANIZATION_SCHEMES = {
+    rtgs: {
+        name: 'RTGS',
+        description: 'Royal Thai General System - the official standard used on road signs',
+        spellings: {}
+    },
+    paiboon: {
+        name: 'Paiboon',
+        description: 'Paiboon+ - used by many learner dictionaries; keeps unaspirated k/t/p as g/dt/bp',
+        spellings: {
+            // Consonants
+            'ก': 'g', 'ข': 'k', 'ฃ': 'k', 'ค': 'k', 'ฅ': 'k', 'ฆ': 'k',
+            'จ': 'j', 'ฏ': 'dt', 'ต': 'dt', 'ป': 'bp',
+            'ฐ': 't', 'ฑ': 't', 'ฒ': 't', 'ถ': 't', 'ท': 't', 'ธ': 't',
+            'ผ': 'p', 'พ': 'p', 'ภ': 'p',
+            'ฤ': 'rʉ', 'ฦ': 'lʉ', 'อ': 'ɔɔ',
+            // Vowels (doubled letters mark long vowels)
+            '◌า': 'aa', '◌ี': 'ii', '◌ึ': 'ʉ', '◌ือ': 'ʉʉ', '◌ู': 'uu',
+            'เ◌': 'ee', 'แ◌ะ': 'ɛ', 'แ◌': 'ɛɛ', 'โ◌': 'oo',
+            'เ◌าะ': 'ɔ', '◌อ': 'ɔɔ', 'เ◌อะ': 'ə', 'เ◌อ': 'əə',
+            'เ◌ีย': 'iia', 'เ◌ือะ': 'ʉa', 'เ◌ือ': 'ʉʉa', '◌ัว': 'uua',
+            '◌ฤ': 'rʉ', 'ฤๅ': 'rʉʉ'
+        }
+    },
+    alaLc: {
+        name: 'ALA-LC',
+        description: 'Library of Congress - like RTGS but with č for จ and macrons on long vowels',
+        spellings: {
+            'จ': ['č', 'c'],
+            '◌า': 'ā', '◌ี': 'ī', '◌ู': 'ū', 'เ◌': 'ē', 'โ◌': 'ō',
+            '◌ึ': 'ư'
+        }
+    },
+    ipa: {
+        name: 'IPA',
+        description: 'Phonetic symbols - ʰ marks aspiration and ː a long vowel (h and : are accepted too)',
+        spellings: {
+            // Consonants
+            'ข': ['kʰ', 'kh'], 'ฃ': ['kʰ', 'kh'], 'ค': ['kʰ', 'kh'], 'ฅ': ['kʰ', 'kh'], 'ฆ': ['kʰ', 'kh'],
+            'ง': 'ŋ', 'จ': 'tɕ', 'ฉ': ['tɕʰ', 'tɕh'], 'ช': ['tɕʰ', 'tɕh'], 'ฌ': ['tɕʰ', 'tɕh'],
+            'ญ': 'j', 'ย': 'j',
+            'ฐ': ['tʰ', 'th'], 'ฑ': ['tʰ', 'th'], 'ฒ': ['tʰ', 'th'], 'ถ': ['tʰ', 'th'], 'ท': ['tʰ', 'th'], 'ธ': ['tʰ', 'th'],
+            'ผ': ['pʰ', 'ph'], 'พ': ['pʰ', 'ph'], 'ภ': ['pʰ', 'ph'],
+            'ฤ': 'rɯ', 'ฦ': 'lɯ', 'อ': 'ʔ',
+            // Vowels
+            '◌า': ['aː', 'a:'], '◌ี': ['iː', 'i:'], '◌ึ': 'ɯ', '◌ือ': ['ɯː', 'ɯ:'], '◌ู': ['uː', 'u:'],
+            'เ◌': ['eː', 'e:'], 'แ◌ะ': 'ɛ', 'แ◌': ['ɛː', 'ɛ:'], 'โ◌': ['oː', 'o:'],
+            'เ◌าะ': 'ɔ', '◌อ': ['ɔː', 'ɔ:'], 'เ◌อะ': 'ɤ', 'เ◌อ': ['ɤː', 'ɤ:'],
+            'เ◌ีย': ['iːa', 'i:a'], 'เ◌ือะ': 'ɯa', 'เ◌ือ': ['ɯːa', 'ɯ:a'], '◌ัว': ['uːa', 'u:a'],
+            'ใ◌': 'aj', 'ไ◌': 'aj', 'เ◌า': 'aw',
+            '◌ฤ': 'rɯ', 'ฤๅ': ['rɯː', 'rɯ:']
+        }
+    }
+};
+
+// Kedmanee (standard Thai) keyboard layout, keyed by the Latin key in the same position
+const THAI_KEYBOARD_LAYOUT = {
+    // Unshifted
+    '1': 'ๅ', '2': '/', '3': '-', '4': 'ภ', '5': 'ถ', '6': 'ุ', '7': 'ึ', '8': 'ค', '9': 'ต', '0': 'จ', '-': 'ข', '=': 'ช',
+    'q': 'ๆ', 'w': 'ไ', 'e': 'ำ', 'r': 'พ', 't': 'ะ', 'y': 'ั', 'u': 'ี', 'i': 'ร', 'o': 'น', 'p': 'ย', '[': 'บ', ']': 'ล', '\\': 'ฃ',
+    'a': 'ฟ', 's': 'ห', 'd': 'ก', 'f': 'ด', 'g': 'เ', 'h': '้', 'j': '่', 'k': 'า', 'l': 'ส', ';': 'ว', "'": 'ง',
+    'z': 'ผ', 'x': 'ป', 'c': 'แ', 'v': 'อ', 'b': 'ิ', 'n': 'ื', 'm': 'ท', ',': 'ม', '.': 'ใ', '/': 'ฝ',
+    // Shifted
+    '!': '+', '@': '๑', '#': '๒', '$': '๓', '%': '๔', '^': 'ู', '&': '฿', '*': '๕', '(': '๖', ')': '๗', '_': '๘', '+': '๙',
+    'Q': '๐', 'W': '"', 'E': 'ฎ', 'R': 'ฑ', 'T': 'ธ', 'Y': 'ํ', 'U': '๊', 'I': 'ณ', 'O': 'ฯ', 'P': 'ญ', '{': 'ฐ', '}': ',', '|': 'ฅ',
+    'A': 'ฤ', 'S': 'ฆ', 'D': 'ฏ', 'F': 'โ', 'G': 'ฌ', 'H': '็', 'J': '๋', 'K': 'ษ', 'L': 'ศ', ':': 'ซ', '"': '.',
+    'Z': '(', 'X': ')', 'C': 'ฉ', 'V': 'ฮ', 'B': 'ฺ', 'N': '์', 'M': '?', '<': 'ฒ', '>': 'ฬ', '?': 'ฦ'
+};
+
 // Progressive Level System
 // Level 1: 19 most common consonants (very-high frequency)
 const LEVEL_1_CHARS = [
@@ -501,45 +1029,254 @@ const LEVEL_3_CHARS = [
     'ฃ', 'ฅ'
 ];
 
-// Level configuration
+// Level 4: Common vowels and special forms
+const LEVEL_4_VOWELS = [
+    '◌ะ', '◌า', '◌ิ', '◌ี', '◌ุ', '◌ู', 'เ◌', 'แ◌', 'โ◌', '◌อ',
+    '◌ำ', 'ไ◌', 'ใ◌', 'เ◌า', '◌ั◌', 'เ◌ีย', '◌ัว'
+];
+
+// Level 5: Remaining vowels (short partners, diphthongs, rare forms)
+const LEVEL_5_VOWELS = [
+    '◌ึ', '◌ือ', 'เ◌ะ', 'เ◌็◌', 'แ◌ะ', 'โ◌ะ', 'เ◌าะ', 'เ◌อะ', 'เ◌อ',
+    'เ◌ียะ', 'เ◌ือะ', 'เ◌ือ', '◌ัวะ', '◌ฤ', 'ฤๅ'
+];
+
+const ALL_CONSONANTS = [...LEVEL_1_CHARS, ...LEVEL_2_CHARS, ...LEVEL_3_CHARS];
+
+// Level configuration, in curriculum order; add or reorder entries freely
+// characters: everything practised at this level (cumulative)
+// unlock: what the previous level's characters need before this one opens (null = always open)
+//   accuracy   - share of romanization reviews answered correctly (0-1)
+//   minReviews - total romanization reviews
+//   matureCards - romanization cards past the learning phase
 const LEVELS = [
     {
         number: 1,
         name: 'Beginner',
         characters: LEVEL_1_CHARS,
-        unlockThreshold: 0, // Always unlocked
+        unlock: null,
         description: 'Most common Thai consonants'
     },
     {
         number: 2,
         name: 'Intermediate',
         characters: [...LEVEL_1_CHARS, ...LEVEL_2_CHARS],
-        unlockThreshold: 0.80, // 80% accuracy on level 1
+        unlock: { accuracy: 0.80, minReviews: 40, matureCards: 10 },
         description: 'Add more common consonants'
     },
     {
         number: 3,
         name: 'Advanced',
-        characters: [...LEVEL_1_CHARS, ...LEVEL_2_CHARS, ...LEVEL_3_CHARS],
-        unlockThreshold: 0.80, // 80% accuracy on level 2
+        characters: ALL_CONSONANTS,
+        unlock: { accuracy: 0.80, minReviews: 80, matureCards: 20 },
         description: 'All 44 Thai consonants'
+    },
+    {
+        number: 4,
+        name: 'Vowels',
+        characters: [...ALL_CONSONANTS, ...LEVEL_4_VOWELS],
+        unlock: { accuracy: 0.80, minReviews: 100, matureCards: 30 },
+        description: 'Common vowels on the อ carrier'
+    },
+    {
+        number: 5,
+        name: 'Master',
+        characters: [...ALL_CONSONANTS, ...LEVEL_4_VOWELS, ...LEVEL_5_VOWELS],
+        unlock: { accuracy: 0.80, minReviews: 120, matureCards: 45 },
+        description: 'Every consonant, vowel and diphthong'
     }
 ];
 
+// Consonants and vowels share one lookup; vowel keys never collide with consonants
+function findCharacter(char) {
+    return THAI_CHARACTERS[char] || THAI_VOWELS[char];
+}
+
 // Helper Functions
 const ThaiData = {
     /**
      * Get romanization for a Thai character
+     * @param {string} char
+     * @param {string} scheme - Key in ROMANIZATION_SCHEMES (defaults to RTGS)
+     */
+    getRomanization(char, scheme = DEFAULT_ROMANIZATION_SCHEME) {
+        return this.getRomanizations(char, scheme)[0] || '';
+    },
+
+    /**
+     * Get the sound a consonant makes at the end of a syllable ('' if never a final)
+     */
+    getFinalRomanization(char) {
+        return THAI_CHARACTERS[char]?.finalRoman || '';
+    },
+
+    /**
+     * Get all consonants that end in the given final sound
+     */
+    getCharactersByFinalSound(finalRoman) {
+        return Object.entries(THAI_CHARACTERS)
+            .filter(([_, data]) => data.finalRoman === finalRoman)
+            .map(([char, _]) => char);
+    },
+
+    /**
+     * Explain how a consonant sounds in final position
+     * @returns {string} - '' for vowels
+     */
+    explainFinalSound(char) {
+        const data = THAI_CHARACTERS[char];
+        if (!data) return '';
+        if (!data.finalRoman) {
+            return `${char} is not written as a final consonant.`;
+        }
+
+        const final = data.finalRoman;
+        const others = this.getCharactersByFinalSound(final).filter(c => c !== char);
+        const syllable = FINAL_SOUNDS[final].stop
+            ? `"${final}" is a stop: it is not released, and it makes the syllable dead.`
+            : `"${final}" is a sonorant, so the syllable stays live.`;
+        const opening = data.roman === final
+            ? `At the end of a syllable ${char} keeps its "${final}" sound.`
+            : `At the end of a syllable ${char} is pronounced "${final}", not "${data.roman}".`;
+
+        return `${opening} Thai finals collapse to eight sounds: k, t, p, m, n, ng, y and w. ` +
+            `${syllable}${others.length > 0 ? ` Also ending in "${final}": ${others.join(' ')}.` : ''}`;
+    },
+
+    /**
+     * Get every spelling a scheme allows for a character, preferred spelling first
+     * Falls back to RTGS where the scheme does not differ
+     */
+    getRomanizations(char, scheme = DEFAULT_ROMANIZATION_SCHEME) {
+        const spelling = ROMANIZATION_SCHEMES[scheme]?.spellings[char];
+        if (spelling) {
+            return Array.isArray(spelling) ? spelling : [spelling];
+        }
+        const roman = findCharacter(char)?.roman;
+        return roman ? [roman] : [];
+    },
+
+    /**
+     * Get the lowercase spellings accepted as correct across several schemes
+     */
+    getAcceptedRomanizations(char, schemes = [DEFAULT_ROMANIZATION_SCHEME]) {
+        const accepted = schemes.flatMap(scheme => this.getRomanizations(char, scheme))
+            .map(spelling => this.normalizeRomanization(spelling));
+        return [...new Set(accepted)];
+    },
+
+    /**
+     * Normalize typed romanization for comparison (case, composed diacritics)
+     */
+    normalizeRomanization(text) {
+        return (text || '').trim().toLowerCase().normalize('NFC');
+    },
+
+    /**
+     * Get all romanization schemes as { id, name, description }
+     */
+    getRomanizationSchemes() {
+        return Object.entries(ROMANIZATION_SCHEMES).map(([id, scheme]) => ({
+            id,
+            name: scheme.name,
+            description: scheme.description
+        }));
+    },
+
+    /**
+     * Get display info for a romanization scheme (falls back to RTGS)
      */
-    getRomanization(char) {
-        return THAI_CHARACTERS[char]?.roman || '';
+    getSchemeInfo(scheme) {
+        return ROMANIZATION_SCHEMES[scheme] || ROMANIZATION_SCHEMES[DEFAULT_ROMANIZATION_SCHEME];
     },
 
     /**
      * Get all data for a character
      */
     getCharacterData(char) {
-        return THAI_CHARACTERS[char];
+        return findCharacter(char);
+    },
+
+    /**
+     * Check if a character is a vowel form
+     */
+    isVowel(char) {
+        return char in THAI_VOWELS;
+    },
+
+    /**
+     * Get the form to show on screen (vowels sit on the อ carrier)
+     */
+    getDisplayForm(char) {
+        const vowel = THAI_VOWELS[char];
+        if (!vowel) return char;
+        return vowel.display || char.replace(VOWEL_PLACEHOLDER, VOWEL_CARRIER);
+    },
+
+    /**
+     * Get all consonants
+     */
+    getConsonants() {
+        return Object.keys(THAI_CHARACTERS);
+    },
+
+    /**
+     * Get all vowel forms
+     */
+    getVowels() {
+        return Object.keys(THAI_VOWELS);
+    },
+
+    /**
+     * Get consonant class names in answer-key order
+     */
+    getConsonantClasses() {
+        return Object.keys(CONSONANT_CLASSES);
+    },
+
+    /**
+     * Get label, description and mnemonic for a consonant class
+     */
+    getClassInfo(consonantClass) {
+        return CONSONANT_CLASSES[consonantClass];
+    },
+
+    /**
+     * Get all consonants in a class
+     */
+    getCharactersByClass(consonantClass) {
+        return Object.entries(THAI_CHARACTERS)
+            .filter(([_, data]) => data.class === consonantClass)
+            .map(([char, _]) => char);
+    },
+
+    /**
+     * Map a key on a Latin keyboard to the Thai character in the same Kedmanee position
+     */
+    mapKeyToThai(key) {
+        return THAI_KEYBOARD_LAYOUT[key] || null;
+    },
+
+    /**
+     * Get all characters sharing a romanization
+     * Pass schemes to match any accepted spelling instead of RTGS only
+     */
+    getCharactersByRomanization(roman, schemes = null) {
+        if (schemes) {
+            const spelling = this.normalizeRomanization(roman);
+            return this.getAllCharacters()
+                .filter(char => this.getAcceptedRomanizations(char, schemes).includes(spelling));
+        }
+        return Object.entries({ ...THAI_CHARACTERS, ...THAI_VOWELS })
+            .filter(([_, data]) => data.roman === roman)
+            .map(([char, _]) => char);
+    },
+
+    /**
+     * Get every consonant and vowel form
+     */
+    getAllCharacters() {
+        return [...Object.keys(THAI_CHARACTERS), ...Object.keys(THAI_VOWELS)];
     },
 
     /**
@@ -564,25 +1301,33 @@ const ThaiData = {
         return LEVELS;
     },
 
+    /**
+     * Get the level before this one in the curriculum
+     */
+    getPreviousLevel(levelNumber) {
+        const index = LEVELS.findIndex(l => l.number === levelNumber);
+        return index > 0 ? LEVELS[index - 1] : null;
+    },
+
     /**
      * Get total number of characters
      */
     getTotalCharacters() {
-        return Object.keys(THAI_CHARACTERS).length;
+        return Object.keys(THAI_CHARACTERS).length + Object.keys(THAI_VOWELS).length;
     },
 
     /**
      * Check if a character exists
      */
     isValidCharacter(char) {
-        return char in THAI_CHARACTERS;
+        return char in THAI_CHARACTERS || char in THAI_VOWELS;
     },
 
     /**
      * Get characters by frequency
      */
     getCharactersByFrequency(frequency) {
-        return Object.entries(THAI_CHARACTERS)
+        return Object.entries({ ...THAI_CHARACTERS, ...THAI_VOWELS })
             .filter(([_, data]) => data.frequency === frequency)
             .map(([char, _]) => char);
     },
@@ -603,7 +1348,7 @@ const ThaiData = {
      * Get characters that are confused with this one
      */
     getConfusedCharacters(char) {
-        const data = THAI_CHARACTERS[char];
+        const data = findCharacter(char);
         return data?.confusesWith || [];
     },
 
@@ -611,25 +1356,25 @@ const ThaiData = {
      * Get explanation for a character
      */
     getExplanation(char) {
-        return THAI_CHARACTERS[char]?.explanation || '';
+        return findCharacter(char)?.explanation || '';
     },
 
     /**
      * Get mnemonic for a character
      */
     getMnemonic(char) {
-        return THAI_CHARACTERS[char]?.mnemonic || '';
+        return findCharacter(char)?.mnemonic || '';
     },
 
     /**
      * Get visual features for a character
      */
     getVisualFeatures(char) {
-        return THAI_CHARACTERS[char]?.visualFeatures || [];
+        return findCharacter(char)?.visualFeatures || [];
     }
 };
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { THAI_CHARACTERS, LEVELS, ThaiData };
+    module.exports = { THAI_CHARACTERS, THAI_VOWELS, CONSONANT_CLASSES, FINAL_SOUNDS, ROMANIZATION_SCHEMES, LEVELS, ThaiData };
 }
@@ -0,0 +1,113 @@
+/**
+ * Study Days
+ * Turns timestamps into day keys in the learner's timezone, with a configurable hour the day starts at.
+ * Every module that buckets by day goes through here so streaks, limits and history agree.
+ */
+
+// Like Anki: reviews before 4am count towards the previous day
+const DEFAULT_DAY_START_HOUR = 4;
+
+const dayKeyFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+const StudyDay = {
+    /**
+     * Get the timezone the browser runs in
+     * @returns {string}
+     */
+    getLocalTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+
+    /**
+     * Get every timezone the browser knows (just the local one on older browsers)
+     * @returns {string[]}
+     */
+    getTimezones() {
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return Intl.supportedValuesOf('timeZone');
+        }
+        return [this.getLocalTimezone()];
+    },
+
+    /**
+     * Read day options from settings (a start hour outside 0-23 falls back to the default)
+     * @param {object} settings - { timezone, dayStartHour }
+     * @returns {object} - { timezone, dayStartHour }
+     */
+    getOptions(settings = {}) {
+        const hour = settings.dayStartHour;
+        return {
+            timezone: settings.timezone || null,
+            dayStartHour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_DAY_START_HOUR
+        };
+    },
+
+    /**
+     * Get the day key ('YYYY-MM-DD') a timestamp belongs to
+     * @param {number} timestamp
+     * @param {object} options
+     * @param {string|null} options.timezone - IANA timezone (browser timezone if empty)
+     * @param {number} options.dayStartHour - Hour (0-23) at which a new day begins
+     * @returns {string}
+     */
+    getKey(timestamp = Date.now(), { timezone = null, dayStartHour = DEFAULT_DAY_START_HOUR } = {}) {
+        const parts = {};
+        this.getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const date = `${parts.year}-${parts.month}-${parts.day}`;
+        // Compare wall-clock hours rather than shifting the timestamp, which goes wrong on DST changes
+        return Number(parts.hour) < dayStartHour ? this.addDays(date, -1) : date;
+    },
+
+    /**
+     * Move a day key by whole days (calendar arithmetic, so DST changes don't matter)
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {number} days - Negative to go back
+     * @returns {string}
+     */
+    addDays(key, days) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    },
+
+    /**
+     * Get the keys of the last N study days, oldest first, ending today
+     * @param {number} days
+     * @param {object} options - { timezone, dayStartHour }
+     * @param {number} now
+     * @returns {string[]}
+     */
+    getRecentKeys(days, options = {}, now = Date.now()) {
+        const today = this.getKey(now, options);
+        const keys = [];
+        for (let i = days - 1; i >= 0; i--) {
+            keys.push(this.addDays(today, -i));
+        }
+        return keys;
+    },
+
+    /**
+     * Get a cached year-month-day-hour formatter, falling back to the browser timezone if unknown
+     * @param {string|null} timezone
+     * @returns {Intl.DateTimeFormat}
+     */
+    getFormatter(timezone) {
+        const zone = timezone || this.getLocalTimezone();
+        if (!dayKeyFormatters.has(zone)) {
+            const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23' };
+            try {
+                dayKeyFormatters.set(zone, new Intl.DateTimeFormat('en-CA', { ...options, timeZone: zone }));
+            } catch (e) {
+                console.warn(`Unknown timezone "${zone}", using the browser timezone`);
+                dayKeyFormatters.set(zone, new Intl.DateTimeFormat('en-CA', options));
+            }
+        }
+        return dayKeyFormatters.get(zone);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyDay, DEFAULT_DAY_START_HOUR };
+}
@@ -0,0 +1,432 @@
+/**
+ * Drill Modes
+ * Defines what each practice mode shows, which answer it expects and which cards it schedules
+ */
+
+const DEFAULT_DRILL_MODE = 'roman';
+
+// How many glyphs the reverse drill offers in its grid
+const REVERSE_CHOICE_COUNT = 8;
+
+// How many options (including the answer) the multiple-choice drill offers
+const MULTIPLE_CHOICE_COUNT = 4;
+
+const DRILL_MODES = {
+    roman: {
+        name: 'Romanization',
+        description: 'See a Thai character, type its romanization',
+
+        // Items to keep in the deck for this mode
+        getItems(data) {
+            return ThaiData.getLevelCharacters(data.settings.currentLevel);
+        },
+
+        getPrompt(item) {
+            return {
+                text: ThaiData.getDisplayForm(item),
+                hint: ThaiData.isVowel(item) ? 'vowel' : ''
+            };
+        },
+
+        getAnswer(item, data) {
+            return ThaiData.getRomanization(item, Drills.getDisplayScheme(data));
+        },
+
+        // Every spelling from the schemes the learner accepts
+        getAcceptedAnswers(item, data) {
+            return ThaiData.getAcceptedRomanizations(item, Drills.getAcceptedSchemes(data));
+        },
+
+        getChoices() {
+            return null;
+        },
+
+        isCorrect(item, input, data) {
+            return DRILL_MODES.roman.getAcceptedAnswers(item, data)
+                .includes(ThaiData.normalizeRomanization(input));
+        },
+
+        // A wrong romanization implicates every level character of the same kind spelled that way
+        // (typing "kh" for ก points at ข and ค); the weight is split so ambiguous answers count less
+        getConfusions(item, input, data) {
+            const sameKind = char => char !== item && ThaiData.isVowel(char) === ThaiData.isVowel(item);
+            const matches = ThaiData.getCharactersByRomanization(input, Drills.getAcceptedSchemes(data))
+                .filter(sameKind);
+            if (matches.length === 0) return [];
+
+            const levelChars = ThaiData.getLevelCharacters(data.settings.currentLevel);
+            const inLevel = matches.filter(char => levelChars.includes(char));
+            const candidates = inLevel.length > 0 ? inLevel : matches;
+
+            return candidates.map(character => ({ character, weight: 1 / candidates.length }));
+        },
+
+        explain(item, input, data) {
+            ui.showEducationalPanel(item, input, {
+                retypeAnswer: DRILL_MODES.roman.getAnswer(item, data),
+                scheme: Drills.getDisplayScheme(data),
+                learnerConfusions: storage.getConfusionsFor(data, item)
+            });
+            ui.playAudio(item, ThaiData.getRomanization(item));
+        }
+    },
+
+    final: {
+        name: 'Final Sounds',
+        description: 'See a consonant, type how it sounds at the end of a syllable',
+
+        getItems(data) {
+            return ThaiData.getLevelCharacters(data.settings.currentLevel)
+                .filter(char => ThaiData.getFinalRomanization(char));
+        },
+
+        // An example syllable shows the consonant in final position
+        getPrompt(item) {
+            return {
+                text: item,
+                hint: `as a final, e.g. ${ToneRules.composeSyllable(VOWEL_CARRIER, '◌า', '', item)}`
+            };
+        },
+
+        getAnswer(item) {
+            return ThaiData.getFinalRomanization(item);
+        },
+
+        getAcceptedAnswers(item) {
+            return [ThaiData.getFinalRomanization(item)];
+        },
+
+        getChoices() {
+            return null;
+        },
+
+        isCorrect(item, input) {
+            return ThaiData.normalizeRomanization(input) === ThaiData.getFinalRomanization(item);
+        },
+
+        explain(item, input, data) {
+            ui.showEducationalPanel(item, input, {
+                position: 'final',
+                learnerConfusions: storage.getConfusionsFor(data, item)
+            });
+        }
+    },
+
+    tone: {
+        name: 'Tone Rules',
+        description: 'See a syllable, name its tone',
+
+        getItems() {
+            return ToneRules.getDrillSyllables().map(syllable => syllable.text);
+        },
+
+        // Items are syllables rather than characters
+        isValidItem(item) {
+            return Boolean(ToneRules.getDrillSyllable(item));
+        },
+
+        getPrompt(item) {
+            return { text: item, hint: 'Which tone? (1-5)' };
+        },
+
+        getAnswer(item) {
+            return ToneRules.getDrillSyllable(item)?.tone || '';
+        },
+
+        getChoices() {
+            return ToneRules.getAllTones().map((tone, index) => {
+                const info = ToneRules.getToneInfo(tone);
+                return { value: tone, label: `${info.label} ${info.contour}`, key: String(index + 1) };
+            });
+        },
+
+        isCorrect(item, input) {
+            return ToneRules.parseToneAnswer(input) === DRILL_MODES.tone.getAnswer(item);
+        },
+
+        explain(item) {
+            ui.showToneRulePanel(ToneRules.getDrillSyllable(item));
+        }
+    },
+
+    reverse: {
+        name: 'Reverse',
+        description: 'See a romanization and name, pick or type the Thai character',
+        inputLayout: 'thai',
+
+        getItems(data) {
+            return ThaiData.getLevelCharacters(data.settings.currentLevel);
+        },
+
+        // The acrophonic name tells apart characters that share a romanization (ข/ค/ฆ are all "kh")
+        getPrompt(item, data) {
+            const roman = ThaiData.getRomanization(item, Drills.getDisplayScheme(data));
+            return { text: roman, hint: ThaiData.getCharacterData(item).name, style: 'roman' };
+        },
+
+        getAnswer(item) {
+            return ThaiData.getDisplayForm(item);
+        },
+
+        // Same-sound characters first, then known confusions, then the rest of the level
+        getChoices(item, data) {
+            const isVowel = ThaiData.isVowel(item);
+            const levelChars = ThaiData.getLevelCharacters(data.settings.currentLevel)
+                .filter(char => ThaiData.isVowel(char) === isVowel);
+            const sameSound = ThaiData.getCharactersByRomanization(ThaiData.getRomanization(item));
+            const candidates = [
+                ...shuffle(sameSound),
+                ...ThaiData.getConfusedCharacters(item),
+                ...shuffle(levelChars)
+            ].filter(char => levelChars.includes(char));
+
+            const picked = [item];
+            candidates.forEach(char => {
+                if (picked.length < REVERSE_CHOICE_COUNT && !picked.includes(char)) {
+                    picked.push(char);
+                }
+            });
+
+            // No shortcut keys: number keys type Thai characters on the Kedmanee layout
+            return shuffle(picked).map(char => ({
+                value: char,
+                label: ThaiData.getDisplayForm(char),
+                glyph: true
+            }));
+        },
+
+        isCorrect(item, input) {
+            const answer = input.trim();
+            return answer === item ||
+                answer === ThaiData.getDisplayForm(item) ||
+                answer === item.split(VOWEL_PLACEHOLDER).join('');
+        },
+
+        // Picking another valid glyph means the learner mixed the two up
+        getConfusions(item, input) {
+            const answer = input.trim();
+            return ThaiData.isValidCharacter(answer) && answer !== item
+                ? [{ character: answer, weight: 1 }]
+                : [];
+        },
+
+        explain(item, input, data) {
+            ui.showEducationalPanel(item, input, {
+                retypeAnswer: ThaiData.getCharacterData(item).name,
+                scheme: Drills.getDisplayScheme(data),
+                learnerConfusions: storage.getConfusionsFor(data, item)
+            });
+        }
+    },
+
+    choice: {
+        name: 'Multiple Choice',
+        description: 'See a Thai character, pick its romanization and name from four options',
+        choicesOnly: true,
+
+        getItems(data) {
+            return ThaiData.getLevelCharacters(data.settings.currentLevel);
+        },
+
+        getPrompt(item) {
+            return {
+                text: ThaiData.getDisplayForm(item),
+                hint: ThaiData.isVowel(item) ? 'vowel - pick one (1-4)' : 'Pick one (1-4)'
+            };
+        },
+
+        getAnswer(item, data) {
+            return Drills.getChoiceLabel(item, data);
+        },
+
+        // Distractors: the learner's own confusions, then known look-alikes,
+        // then same-class and same-frequency characters from the current level
+        getChoices(item, data) {
+            const levelChars = ThaiData.getLevelCharacters(data.settings.currentLevel);
+            const itemData = ThaiData.getCharacterData(item);
+
+            const learnerConfusions = storage.getConfusionPairs(data, 1)
+                .filter(pair => pair.shown === item || pair.answered === item)
+                .map(pair => (pair.shown === item ? pair.answered : pair.shown));
+            const sameClass = levelChars.filter(char =>
+                itemData.class && ThaiData.getCharacterData(char).class === itemData.class);
+            const sameFrequency = levelChars.filter(char =>
+                ThaiData.getCharacterData(char).frequency === itemData.frequency);
+
+            const candidates = [
+                ...learnerConfusions,
+                ...ThaiData.getConfusedCharacters(item),
+                ...shuffle(sameClass),
+                ...shuffle(sameFrequency),
+                ...shuffle(levelChars)
+            ].filter(char => levelChars.includes(char) && ThaiData.isVowel(char) === ThaiData.isVowel(item));
+
+            const picked = [item];
+            const labels = new Set([Drills.getChoiceLabel(item, data)]);
+            candidates.forEach(char => {
+                // Skip options that would read the same as one already picked
+                const label = Drills.getChoiceLabel(char, data);
+                if (picked.length < MULTIPLE_CHOICE_COUNT && !picked.includes(char) && !labels.has(label)) {
+                    picked.push(char);
+                    labels.add(label);
+                }
+            });
+
+            return shuffle(picked).map((char, index) => ({
+                value: char,
+                label: Drills.getChoiceLabel(char, data),
+                key: String(index + 1)
+            }));
+        },
+
+        isCorrect(item, input) {
+            return input === item;
+        },
+
+        getConfusions(item, input) {
+            return ThaiData.isValidCharacter(input) && input !== item
+                ? [{ character: input, weight: 1 }]
+                : [];
+        },
+
+        explain(item, input, data) {
+            ui.showEducationalPanel(item, input, {
+                retypeAnswer: ThaiData.getCharacterData(item).name,
+                scheme: Drills.getDisplayScheme(data),
+                learnerConfusions: storage.getConfusionsFor(data, item)
+            });
+        }
+    },
+
+    class: {
+        name: 'Consonant Class',
+        description: 'See a consonant, say whether it is mid, high or low class',
+
+        getItems(data) {
+            return ThaiData.getLevelCharacters(data.settings.currentLevel)
+                .filter(char => !ThaiData.isVowel(char));
+        },
+
+        getPrompt(item) {
+            return { text: item, hint: 'Mid, high or low class? (1-3)' };
+        },
+
+        getAnswer(item) {
+            return ThaiData.getCharacterData(item)?.class || '';
+        },
+
+        getChoices() {
+            return ThaiData.getConsonantClasses().map((consonantClass, index) => ({
+                value: consonantClass,
+                label: ThaiData.getClassInfo(consonantClass).label,
+                key: String(index + 1)
+            }));
+        },
+
+        isCorrect(item, input) {
+            const classes = ThaiData.getConsonantClasses();
+            const answer = input.trim().toLowerCase();
+            const picked = classes[parseInt(answer, 10) - 1] || answer;
+            return picked === DRILL_MODES.class.getAnswer(item);
+        },
+
+        explain(item) {
+            ui.showClassPanel(item);
+        }
+    }
+};
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {array} items
+ * @returns {array}
+ */
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+const Drills = {
+    /**
+     * Get a drill mode definition (falls back to romanization)
+     * @param {string} modeId
+     * @returns {object}
+     */
+    getMode(modeId) {
+        return DRILL_MODES[modeId] || DRILL_MODES[DEFAULT_DRILL_MODE];
+    },
+
+    /**
+     * Resolve a mode id, falling back to the default for unknown ids
+     * @param {string} modeId
+     * @returns {string}
+     */
+    resolveModeId(modeId) {
+        return modeId in DRILL_MODES ? modeId : DEFAULT_DRILL_MODE;
+    },
+
+    /**
+     * Check whether a mode can have a card for an item (a known character unless the mode says otherwise)
+     * @param {string} modeId
+     * @param {string} item
+     * @returns {boolean}
+     */
+    isValidItem(modeId, item) {
+        const mode = DRILL_MODES[modeId];
+        if (!mode || typeof item !== 'string') return false;
+        return mode.isValidItem ? mode.isValidItem(item) : ThaiData.isValidCharacter(item);
+    },
+
+    /**
+     * Get the romanization scheme the learner has chosen to see
+     * @param {object} data - Storage data
+     * @returns {string}
+     */
+    getDisplayScheme(data) {
+        const scheme = data?.settings.romanizationScheme;
+        return scheme in ROMANIZATION_SCHEMES ? scheme : DEFAULT_ROMANIZATION_SCHEME;
+    },
+
+    /**
+     * Get the schemes whose spellings count as correct (always includes the displayed one)
+     * @param {object} data - Storage data
+     * @returns {string[]}
+     */
+    getAcceptedSchemes(data) {
+        const accepted = (data?.settings.acceptedSchemes || [])
+            .filter(scheme => scheme in ROMANIZATION_SCHEMES);
+        return [...new Set([this.getDisplayScheme(data), ...accepted])];
+    },
+
+    /**
+     * Label a character by romanization and name, e.g. "g (ko kai)"
+     * @param {string} char
+     * @param {object} data - Storage data
+     * @returns {string}
+     */
+    getChoiceLabel(char, data) {
+        const roman = ThaiData.getRomanization(char, this.getDisplayScheme(data));
+        return `${roman} (${ThaiData.getCharacterData(char).name})`;
+    },
+
+    /**
+     * Get all modes as { id, name, description }
+     * @returns {object[]}
+     */
+    getAllModes() {
+        return Object.entries(DRILL_MODES).map(([id, mode]) => ({
+            id,
+            name: mode.name,
+            description: mode.description
+        }));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DRILL_MODES, Drills };
+}
@@ -0,0 +1,112 @@
+/**
+ * Fluency Drills
+ * Repeats the learner's slowest characters until each is answered quickly, not just correctly
+ */
+
+const DEFAULT_FLUENCY_SESSION_SIZE = 5;
+const DEFAULT_FLUENCY_TARGET_STREAK = 2;
+
+// Give up on a character after this many trials so a session always ends
+const FLUENCY_MAX_TRIALS = 6;
+
+class FluencyDrillSession {
+    /**
+     * Create a session over a set of characters
+     * @param {string[]} characters - Slowest first, from stats.getSlowestCharacters
+     * @param {number} targetStreak - Fast correct answers in a row needed to clear a character
+     */
+    constructor(characters, targetStreak = DEFAULT_FLUENCY_TARGET_STREAK) {
+        this.targetStreak = targetStreak;
+        this.items = characters.map(character => ({
+            character,
+            streak: 0,
+            trials: 0,
+            correct: 0,
+            times: [] // Response times of correct answers
+        }));
+        this.itemIndex = -1;
+        this.currentItem = null;
+    }
+
+    /**
+     * Pick the next character to show, rotating through unfinished ones
+     * @returns {string|null}
+     */
+    getNextCharacter() {
+        if (this.isComplete()) return null;
+
+        do {
+            this.itemIndex = (this.itemIndex + 1) % this.items.length;
+        } while (this.isItemFinished(this.items[this.itemIndex]));
+
+        this.currentItem = this.items[this.itemIndex];
+        return this.currentItem.character;
+    }
+
+    /**
+     * Record a trial for the current character
+     * @param {boolean} correct
+     * @param {number} responseTime - Milliseconds
+     */
+    recordAnswer(correct, responseTime) {
+        const item = this.currentItem;
+        if (!item) return;
+
+        item.trials++;
+        if (correct) {
+            item.correct++;
+            item.times.push(responseTime);
+        }
+
+        if (correct && responseTime < FAST_RESPONSE_MS) {
+            item.streak++;
+        } else {
+            item.streak = 0;
+        }
+    }
+
+    /**
+     * Check whether a character has been answered fast enough, often enough
+     * @param {object} item
+     * @returns {boolean}
+     */
+    isItemCleared(item) {
+        return item.streak >= this.targetStreak;
+    }
+
+    /**
+     * Check whether a character needs no more trials
+     * @param {object} item
+     * @returns {boolean}
+     */
+    isItemFinished(item) {
+        return this.isItemCleared(item) || item.trials >= FLUENCY_MAX_TRIALS;
+    }
+
+    /**
+     * Check whether every character is finished
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.items.every(item => this.isItemFinished(item));
+    }
+
+    /**
+     * Get per-character progress for display
+     * @returns {object[]}
+     */
+    getProgress() {
+        return this.items.map(item => ({
+            character: item.character,
+            trials: item.trials,
+            correct: item.correct,
+            bestTime: item.times.length > 0 ? Math.min(...item.times) : null,
+            cleared: this.isItemCleared(item)
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FluencyDrillSession, DEFAULT_FLUENCY_SESSION_SIZE };
+}
@@ -0,0 +1,273 @@
+/**
+ * Deck Formats
+ * CSV of every card's scheduling state (for spreadsheets, and to import back)
+ * and Anki packages of the characters
+ */
+
+/*
+ * Columns of a deck CSV. Columns with `get` are for reading only and ignored on import;
+ * the rest hold a saved card field exactly, so exporting and importing restores the same deck.
+ */
+const DECK_CSV_COLUMNS = [
+    { column: 'character', field: 'character', type: 'string' },
+    { column: 'mode', field: 'mode', type: 'string' },
+    { column: 'romanization', get: card => ThaiData.isValidCharacter(card.character) ? ThaiData.getRomanization(card.character) : '' },
+    { column: 'name', get: card => ThaiData.getCharacterData(card.character)?.name || '' },
+    { column: 'class', get: card => ThaiData.getCharacterData(card.character)?.class || '' },
+    { column: 'interval', field: 'interval', type: 'number' },
+    { column: 'ease', field: 'easeFactor', type: 'number' },
+    { column: 'dueDate', field: 'nextReview', type: 'date' },
+    {
+        column: 'accuracy',
+        get: card => card.totalReviews > 0 ? `${(card.correctCount / card.totalReviews * 100).toFixed(1)}%` : ''
+    },
+    { column: 'scheduler', field: 'scheduler', type: 'string' },
+    { column: 'repetitions', field: 'repetitions', type: 'number' },
+    { column: 'lastReviewed', field: 'lastReviewed', type: 'date' },
+    { column: 'stability', field: 'stability', type: 'number' },
+    { column: 'difficulty', field: 'difficulty', type: 'number' },
+    { column: 'totalReviews', field: 'totalReviews', type: 'number' },
+    { column: 'correctCount', field: 'correctCount', type: 'number' },
+    { column: 'incorrectCount', field: 'incorrectCount', type: 'number' },
+    { column: 'averageResponseTime', field: 'averageResponseTime', type: 'number' },
+    { column: 'lastQuality', field: 'lastQuality', type: 'number' },
+    { column: 'isNew', field: 'isNew', type: 'boolean' },
+    { column: 'isLearning', field: 'isLearning', type: 'boolean' },
+    { column: 'isMature', field: 'isMature', type: 'boolean' },
+    { column: 'learningStep', field: 'learningStep', type: 'number' },
+    { column: 'isRelearning', field: 'isRelearning', type: 'boolean' }
+];
+
+// Note fields in Anki exports, in order
+const ANKI_FIELDS = ['Character', 'Romanization', 'Name', 'Class', 'Explanation', 'Mnemonic'];
+const ANKI_DECK_NAME = 'Thai Script Master';
+
+/**
+ * Quote a value for a delimited file if it needs it
+ * @param {*} value
+ * @param {string} separator
+ * @returns {string}
+ */
+function quoteField(value, separator = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(separator) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function splitCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Skip blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Escape text for an HTML note field
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeNoteHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const DeckFormats = {
+    /**
+     * Write cards as CSV, one row per card
+     * @param {object} cards - deck.cards from storage data
+     * @returns {string}
+     */
+    toCsv(cards) {
+        const lines = [DECK_CSV_COLUMNS.map(({ column }) => column).join(',')];
+
+        Object.values(cards).forEach(card => {
+            lines.push(DECK_CSV_COLUMNS.map(spec => quoteField(this.formatCsvValue(card, spec))).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Format one card field for CSV
+     * @param {object} card
+     * @param {object} spec - From DECK_CSV_COLUMNS
+     * @returns {string}
+     */
+    formatCsvValue(card, spec) {
+        if (spec.get) return spec.get(card);
+
+        const value = card[spec.field];
+        if (value === null || value === undefined) return '';
+        if (spec.type === 'date') return new Date(value).toISOString();
+        return String(value);
+    },
+
+    /**
+     * Read cards from CSV written by toCsv (or a spreadsheet with some of its columns)
+     * Only the columns present are set, so a file can change just intervals and due dates.
+     * @param {string} text
+     * @returns {object} - { cards: { key: partial card }, errors: string[] }
+     */
+    parseCsv(text) {
+        const rows = splitCsvRows(text);
+        if (rows.length === 0) {
+            return { cards: {}, errors: ['The file is empty'] };
+        }
+
+        const header = rows[0].map(column => column.trim());
+        const specs = header.map(column => DECK_CSV_COLUMNS.find(spec => spec.column === column && spec.field));
+        if (!header.includes('character')) {
+            return { cards: {}, errors: ['Missing a "character" column'] };
+        }
+
+        const cards = {};
+        const errors = [];
+
+        rows.slice(1).forEach((values, i) => {
+            const card = {};
+            specs.forEach((spec, column) => {
+                const value = this.parseCsvValue(values[column] ?? '', spec);
+                if (spec && value !== undefined) {
+                    card[spec.field] = value;
+                }
+            });
+
+            const key = SM2Deck.cardKey(card.character, card.mode ?? DEFAULT_DRILL_MODE);
+            const problems = Importer.validateCard(key, card);
+            if (cards[key]) {
+                problems.push('appears more than once');
+            }
+
+            if (problems.length > 0) {
+                problems.forEach(problem => errors.push(
+                    `Row ${i + 2} (${card.character || 'no character'}): ${this.toColumnNames(problem)}`
+                ));
+            } else {
+                cards[key] = card;
+            }
+        });
+
+        return { cards, errors };
+    },
+
+    /**
+     * Name columns rather than card fields in a validation message (e.g. dueDate, not nextReview)
+     * @param {string} problem - From Importer.validateCard
+     * @returns {string}
+     */
+    toColumnNames(problem) {
+        const spec = DECK_CSV_COLUMNS.find(({ field }) => field && problem.startsWith(`${field} `));
+        if (!spec) return problem;
+
+        const message = spec.column + problem.slice(spec.field.length);
+        return spec.type === 'date' ? message.replace('must be a number', 'must be a date') : message;
+    },
+
+    /**
+     * Convert one CSV field to a card value
+     * Values that don't parse are returned as text so validation reports them.
+     * @param {string} text
+     * @param {object|undefined} spec - From DECK_CSV_COLUMNS
+     * @returns {*} - undefined to leave the field unset
+     */
+    parseCsvValue(text, spec) {
+        if (!spec) return undefined;
+
+        const value = text.trim();
+        if (spec.type === 'string' || spec.type === 'boolean') {
+            if (value === '') return undefined;
+            if (spec.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+            return value;
+        }
+        if (value === '') return null;
+
+        const number = spec.type === 'date' ? Date.parse(value) : Number(value);
+        return Number.isNaN(number) ? value : number;
+    },
+
+    /**
+     * Get one Anki note per character in the deck, with HTML fields in ANKI_FIELDS order
+     * @param {object} cards - deck.cards from storage data
+     * @returns {object[]} - { fields: string[], tags: string[] }
+     */
+    getAnkiNotes(cards) {
+        const characters = [...new Set(Object.values(cards).map(card => card.character))]
+            .filter(char => ThaiData.isValidCharacter(char));
+
+        return characters.map(char => {
+            const info = ThaiData.getCharacterData(char);
+            // Levels build on each other; tag the one that introduces the character
+            const level = ThaiData.getAllLevels().find(({ characters }) => characters.includes(char))?.number;
+            const fields = [
+                ThaiData.getDisplayForm(char),
+                ThaiData.getRomanization(char),
+                info.name,
+                info.class || '',
+                info.explanation || '',
+                info.mnemonic || ''
+            ].map(field => escapeNoteHtml(field));
+            const tags = [
+                ThaiData.isVowel(char) ? 'vowel' : 'consonant',
+                info.class ? `${info.class}-class` : null,
+                level ? `level-${level}` : null
+            ].filter(Boolean);
+
+            return { fields, tags };
+        });
+    },
+
+    /**
+     * Build an Anki package (.apkg) of the deck's characters, for Anki's File → Import
+     * @param {object} cards - deck.cards from storage data
+     * @param {number} now
+     * @returns {Promise<Uint8Array>}
+     */
+    toAnkiPackage(cards, now = Date.now()) {
+        return AnkiPackage.build({ deckName: ANKI_DECK_NAME, fields: ANKI_FIELDS, notes: this.getAnkiNotes(cards), now });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeckFormats, DECK_CSV_COLUMNS, splitCsvRows };
+}
@@ -0,0 +1,256 @@
+/**
+ * Import Checks
+ * Validates backup files, previews what an import will change and merges progress from two devices
+ */
+
+// Allowed values for saved card fields; fields a card leaves out get their defaults
+const CARD_FIELD_RULES = {
+    easeFactor: { type: 'number', min: MIN_EASE_FACTOR },
+    interval: { type: 'number', min: 0 },
+    repetitions: { type: 'integer', min: 0 },
+    nextReview: { type: 'number', min: 0 },
+    lastReviewed: { type: 'number', min: 0, nullable: true },
+    stability: { type: 'number', min: 0, nullable: true },
+    difficulty: { type: 'number', min: 1, max: 10, nullable: true },
+    totalReviews: { type: 'integer', min: 0 },
+    correctCount: { type: 'integer', min: 0 },
+    incorrectCount: { type: 'integer', min: 0 },
+    averageResponseTime: { type: 'number', min: 0 },
+    lastQuality: { type: 'integer', min: 0, max: 5, nullable: true },
+    learningStep: { type: 'integer', min: 0, nullable: true },
+    isNew: { type: 'boolean' },
+    isLearning: { type: 'boolean' },
+    isMature: { type: 'boolean' },
+    isRelearning: { type: 'boolean' }
+};
+
+const DAY_STATS_FIELDS = ['reviews', 'correct', 'wrong', 'timeSpent'];
+
+/**
+ * Describe why a value breaks a rule
+ * @param {*} value
+ * @param {object} rule - From CARD_FIELD_RULES
+ * @returns {string|null} - null if the value is allowed
+ */
+function checkFieldRule(value, rule) {
+    if (value === null) {
+        return rule.nullable ? null : 'must not be empty';
+    }
+    if (rule.type === 'boolean') {
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    }
+
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    if (!isNumber || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+    }
+    return null;
+}
+
+/**
+ * Add numbers from one { key: number } map into a copy of another
+ * @param {object} target
+ * @param {object} source
+ * @returns {object}
+ */
+function addCounts(target = {}, source = {}) {
+    const result = { ...target };
+    Object.entries(source).forEach(([key, count]) => {
+        result[key] = (result[key] || 0) + count;
+    });
+    return result;
+}
+
+/**
+ * Identify a review log entry, so the same review from both devices is kept once
+ * @param {object} entry
+ * @returns {string}
+ */
+function reviewLogId(entry) {
+    return `${entry.timestamp}|${entry.mode || DEFAULT_DRILL_MODE}|${entry.character}`;
+}
+
+const Importer = {
+    /**
+     * Check data (already migrated) before importing it
+     * @param {object} data
+     * @returns {string[]} - One message per problem, empty if the data is fine
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!isPlainObject(data.deck?.cards)) {
+            errors.push('deck.cards: missing');
+        } else {
+            Object.entries(data.deck.cards).forEach(([key, card]) => {
+                this.validateCard(key, card).forEach(error => errors.push(`Card "${key}": ${error}`));
+            });
+        }
+
+        if (data.reviewLog !== undefined && !Array.isArray(data.reviewLog)) {
+            errors.push('reviewLog: must be a list');
+        } else {
+            (data.reviewLog || []).forEach((entry, i) => {
+                const valid = isPlainObject(entry) &&
+                    Number.isFinite(entry.timestamp) &&
+                    typeof entry.character === 'string' &&
+                    typeof entry.correct === 'boolean';
+                if (!valid) {
+                    errors.push(`Review ${i + 1}: needs a timestamp, character and correct`);
+                }
+            });
+        }
+
+        Object.entries(data.stats?.dailyStats || {}).forEach(([day, dayStats]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+                errors.push(`Daily stats "${day}": not a date`);
+            }
+            DAY_STATS_FIELDS.forEach(field => {
+                const value = dayStats?.[field];
+                if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                    errors.push(`Daily stats "${day}": ${field} must be a number of at least 0`);
+                }
+            });
+        });
+
+        return errors;
+    },
+
+    /**
+     * Check one card
+     * @param {string} key - Key in deck.cards
+     * @param {object} card
+     * @returns {string[]}
+     */
+    validateCard(key, card) {
+        if (!isPlainObject(card)) {
+            return ['not a card'];
+        }
+
+        const errors = [];
+        const mode = card.mode ?? DEFAULT_DRILL_MODE;
+
+        if (!(mode in DRILL_MODES)) {
+            errors.push(`unknown drill mode "${mode}"`);
+        } else if (!Drills.isValidItem(mode, card.character)) {
+            errors.push(`unknown character "${card.character}"`);
+        } else if (SM2Deck.cardKey(card.character, mode) !== key) {
+            errors.push(`key doesn't match its character and mode`);
+        }
+
+        if (card.scheduler !== undefined && !(card.scheduler in SCHEDULERS)) {
+            errors.push(`unknown scheduler "${card.scheduler}"`);
+        }
+
+        Object.entries(CARD_FIELD_RULES).forEach(([field, rule]) => {
+            if (card[field] === undefined) return;
+            const problem = checkFieldRule(card[field], rule);
+            if (problem) {
+                errors.push(`${field} ${problem} (got ${JSON.stringify(card[field])})`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Combine progress from another device into this one
+     * Each card keeps whichever side reviewed it last, reviews are combined without duplicates,
+     * and daily stats, study time and confusions are added together. Settings stay as they are here.
+     * @param {object} current - Left unchanged
+     * @param {object} incoming - Left unchanged
+     * @returns {object}
+     */
+    merge(current, incoming) {
+        const result = cloneData(current);
+
+        Object.entries(incoming.deck.cards).forEach(([key, card]) => {
+            const existing = result.deck.cards[key];
+            if (!existing || (card.lastReviewed || 0) > (existing.lastReviewed || 0)) {
+                result.deck.cards[key] = cloneData(card);
+            }
+        });
+
+        const seen = new Set(result.reviewLog.map(reviewLogId));
+        (incoming.reviewLog || []).forEach(entry => {
+            if (!seen.has(reviewLogId(entry))) {
+                seen.add(reviewLogId(entry));
+                result.reviewLog.push(cloneData(entry));
+            }
+        });
+        result.reviewLog.sort((a, b) => a.timestamp - b.timestamp);
+
+        const stats = result.stats;
+        Object.entries(incoming.stats.dailyStats || {}).forEach(([day, dayStats]) => {
+            const existing = stats.dailyStats[day] || {};
+            const merged = { ...existing };
+            DAY_STATS_FIELDS.forEach(field => {
+                merged[field] = (existing[field] || 0) + (dayStats[field] || 0);
+            });
+            merged.timeByMode = addCounts(existing.timeByMode, dayStats.timeByMode);
+            stats.dailyStats[day] = merged;
+        });
+
+        stats.sessionsCount += incoming.stats.sessionsCount || 0;
+        stats.totalTimeSpent += incoming.stats.totalTimeSpent || 0;
+        stats.timeByMode = addCounts(stats.timeByMode, incoming.stats.timeByMode);
+        Object.entries(incoming.stats.confusionMatrix || {}).forEach(([shown, confusions]) => {
+            stats.confusionMatrix[shown] = addCounts(stats.confusionMatrix[shown], confusions);
+        });
+
+        result.settings.unlockedLevels = [...new Set([
+            ...result.settings.unlockedLevels,
+            ...(incoming.settings.unlockedLevels || [])
+        ])].sort((a, b) => a - b);
+
+        return result;
+    },
+
+    /**
+     * Summarize what importing would change
+     * @param {object} current - Data as it is now
+     * @param {object} result - Data as it would be after the import
+     * @returns {object} - { cards: { added, updated, removed, unchanged }, reviews, days, settings }
+     */
+    preview(current, result) {
+        const before = current.deck.cards;
+        const after = result.deck.cards;
+        const cards = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+        Object.entries(after).forEach(([key, card]) => {
+            if (!before[key]) {
+                cards.added++;
+            } else if (JSON.stringify(before[key]) !== JSON.stringify(card)) {
+                cards.updated++;
+            } else {
+                cards.unchanged++;
+            }
+        });
+        cards.removed = Object.keys(before).filter(key => !after[key]).length;
+
+        const settings = Object.keys({ ...current.settings, ...result.settings }).filter(key =>
+            JSON.stringify(current.settings[key]) !== JSON.stringify(result.settings[key])
+        );
+
+        return {
+            cards,
+            reviews: { before: (current.reviewLog || []).length, after: (result.reviewLog || []).length },
+            days: {
+                before: Object.keys(current.stats.dailyStats || {}).length,
+                after: Object.keys(result.stats.dailyStats || {}).length
+            },
+            settings
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Importer, CARD_FIELD_RULES };
+}
@@ -0,0 +1,154 @@
+/**
+ * Schema Migrations
+ * Ordered steps that upgrade saved data one version at a time
+ */
+
+/*
+ * Each step is a pure function: it takes data saved at the previous version, plus the environment
+ * it runs in ({ timezone }: the browser's timezone), and returns a new object for its version.
+ * Steps must not modify their input, so a step that throws leaves the original data intact.
+ * Keys added to Storage.getDefaultData need no step: they are filled in after migrating.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Key daily stats by study day in the learner\'s timezone instead of UTC',
+        migrate(data, { timezone = null } = {}) {
+            // Version 1 keyed days by UTC date
+            const fromOptions = { timezone: 'UTC', dayStartHour: 0 };
+            const toOptions = StudyDay.getOptions({ ...data.settings, timezone: data.settings?.timezone || timezone });
+            return Migrations.rebucketDailyStats(data, fromOptions, toOptions);
+        }
+    }
+];
+
+// Data written before migrations existed is version 1
+const BASELINE_VERSION = 1;
+const STORAGE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Deep copy JSON-compatible data
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check for an object that isn't an array or null
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const Migrations = {
+    /**
+     * Get the steps needed to bring data from a version up to date, in order
+     * @param {number} fromVersion
+     * @returns {object[]}
+     */
+    getPending(fromVersion) {
+        return MIGRATIONS
+            .filter(step => step.version > fromVersion)
+            .sort((a, b) => a.version - b.version);
+    },
+
+    /**
+     * Run every pending step
+     * @param {object} data - Left unchanged
+     * @param {object} environment - Passed to each step: { timezone }
+     * @returns {object} - New data at STORAGE_VERSION
+     * @throws {Error} - If the data is from a newer version or a step fails (with the step's version)
+     */
+    run(data, environment = {}) {
+        const fromVersion = data.version || BASELINE_VERSION;
+        if (fromVersion > STORAGE_VERSION) {
+            const error = new Error(`Saved data is from a newer version of the app (${fromVersion}, this is ${STORAGE_VERSION})`);
+            error.version = fromVersion;
+            throw error;
+        }
+
+        return this.getPending(fromVersion).reduce((current, step) => {
+            try {
+                return { ...step.migrate(current, environment), version: step.version };
+            } catch (e) {
+                const error = new Error(`Migration to version ${step.version} failed: ${e.message}`, { cause: e });
+                error.version = step.version;
+                throw error;
+            }
+        }, data);
+    },
+
+    /**
+     * Move daily stats onto other day settings, using the review log
+     * Logged reviews move to the day they fall on under toOptions; counts the log doesn't cover
+     * (reviews from before it started) and study time stay where they were.
+     * @param {object} data - Left unchanged
+     * @param {object} fromOptions - Day settings the stats were recorded under ({ timezone, dayStartHour })
+     * @param {object} toOptions - Day settings to move them to
+     * @returns {object} - New data
+     */
+    rebucketDailyStats(data, fromOptions, toOptions) {
+        const result = cloneData(data);
+        const log = Array.isArray(result.reviewLog) ? result.reviewLog : [];
+        if (!isPlainObject(result.stats) || log.length === 0) return result;
+
+        const dailyStats = result.stats.dailyStats || {};
+        result.stats.dailyStats = dailyStats;
+
+        // Take logged reviews out of the days they were recorded under
+        log.forEach(entry => {
+            const dayStats = dailyStats[StudyDay.getKey(entry.timestamp, fromOptions)];
+            if (!dayStats) return;
+            const field = entry.correct ? 'correct' : 'wrong';
+            dayStats.reviews = Math.max(0, (dayStats.reviews || 0) - 1);
+            dayStats[field] = Math.max(0, (dayStats[field] || 0) - 1);
+        });
+
+        Object.entries(dailyStats).forEach(([day, dayStats]) => {
+            if (!(dayStats.reviews > 0) && !(dayStats.timeSpent > 0)) {
+                delete dailyStats[day];
+            }
+        });
+
+        // Then add them back on the day they belong to now
+        log.forEach(entry => {
+            const day = StudyDay.getKey(entry.timestamp, toOptions);
+            if (!dailyStats[day]) {
+                dailyStats[day] = { reviews: 0, correct: 0, wrong: 0, timeSpent: 0, timeByMode: {} };
+            }
+            const field = entry.correct ? 'correct' : 'wrong';
+            dailyStats[day].reviews = (dailyStats[day].reviews || 0) + 1;
+            dailyStats[day][field] = (dailyStats[day][field] || 0) + 1;
+        });
+
+        return result;
+    },
+
+    /**
+     * Add default values for missing keys, at any depth
+     * Arrays and values already present are kept as they are.
+     * @param {object} data - Left unchanged
+     * @param {object} defaults
+     * @returns {object}
+     */
+    fillDefaults(data, defaults) {
+        const result = { ...data };
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (result[key] === undefined) {
+                result[key] = cloneData(value);
+            } else if (isPlainObject(value) && isPlainObject(result[key])) {
+                result[key] = this.fillDefaults(result[key], value);
+            }
+        });
+        return result;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Migrations, MIGRATIONS, STORAGE_VERSION };
+}
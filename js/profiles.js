@@ -0,0 +1,151 @@
+/**
+ * Learner Profiles
+ * Named profiles sharing one device, each with its own storage namespace
+ */
+
+const PROFILES_KEY = `${STORAGE_KEY}-profiles`;
+
+// The first profile keeps the original storage key, so progress from before profiles existed stays in it
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Learner';
+const MAX_PROFILE_NAME_LENGTH = 30;
+
+class Profiles {
+    constructor() {
+        this.registry = this.load();
+    }
+
+    /**
+     * Load the profile list and the last active profile
+     * @returns {object} - { profiles: [{ id, name }], activeId }
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+            if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+                return stored;
+            }
+        } catch (e) {
+            console.warn('Could not load profiles:', e);
+        }
+        return {
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }],
+            activeId: DEFAULT_PROFILE_ID
+        };
+    }
+
+    /**
+     * Save the profile list (kept in memory only if localStorage is unavailable)
+     */
+    save() {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify(this.registry));
+        } catch (e) {
+            console.warn('Could not save profiles:', e);
+        }
+    }
+
+    /**
+     * Get the storage key (or IndexedDB name) for a profile's data
+     * @param {string} profileId
+     * @returns {string}
+     */
+    static getStorageKey(profileId) {
+        return profileId === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}:${profileId}`;
+    }
+
+    /**
+     * Get all profiles in the order they were created
+     * @returns {object[]} - [{ id, name }]
+     */
+    getAll() {
+        return this.registry.profiles;
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} profileId
+     * @returns {object|undefined}
+     */
+    get(profileId) {
+        return this.registry.profiles.find(profile => profile.id === profileId);
+    }
+
+    /**
+     * Get the last active profile (the first one if it no longer exists)
+     * @returns {object}
+     */
+    getActive() {
+        return this.get(this.registry.activeId) || this.registry.profiles[0];
+    }
+
+    /**
+     * Remember which profile to open next time
+     * @param {string} profileId
+     * @returns {boolean} - Whether the profile exists
+     */
+    setActive(profileId) {
+        if (!this.get(profileId)) return false;
+        this.registry.activeId = profileId;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Check a name for a new profile
+     * @param {string} name
+     * @returns {string|null} - What's wrong with the name, or null if it's fine
+     */
+    validateName(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return 'Enter a name';
+        }
+        if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+            return `Use at most ${MAX_PROFILE_NAME_LENGTH} characters`;
+        }
+        const taken = this.registry.profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase());
+        return taken ? `There is already a profile called "${trimmed}"` : null;
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name
+     * @returns {object|null} - The new profile, or null if the name isn't valid
+     */
+    add(name) {
+        if (this.validateName(name)) return null;
+
+        let id;
+        do {
+            id = `p${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+        } while (this.get(id));
+
+        const profile = { id, name: name.trim() };
+        this.registry.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Remove a profile from the list (its data is deleted by Storage.destroy)
+     * The active profile can't be removed.
+     * @param {string} profileId
+     * @returns {boolean}
+     */
+    remove(profileId) {
+        if (profileId === this.getActive().id || !this.get(profileId)) return false;
+
+        this.registry.profiles = this.registry.profiles.filter(profile => profile.id !== profileId);
+        this.save();
+        return true;
+    }
+}
+
+// Create singleton instance
+const profiles = new Profiles();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Profiles, profiles, DEFAULT_PROFILE_ID };
+}
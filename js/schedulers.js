@@ -0,0 +1,260 @@
+/**
+ * Schedulers
+ * Interval math behind SM2Card.review: classic SM-2 and an FSRS-style stability/difficulty model
+ */
+
+const DEFAULT_SCHEDULER = 'sm2';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// FSRS forgetting curve: R(t) = (1 + FSRS_FACTOR * t / S) ^ FSRS_DECAY, so R = 0.9 when t = S
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_TARGET_RETENTION = 0.9;
+
+// Published FSRS-4.5 default weights
+const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// Ease factors map linearly onto FSRS difficulty (1 = easiest, 10 = hardest)
+const MIN_EASE_FACTOR = 1.3;
+const MAX_EASE_FACTOR = 2.8;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function easeToDifficulty(easeFactor) {
+    const ease = clamp(easeFactor, MIN_EASE_FACTOR, MAX_EASE_FACTOR);
+    return 1 + (MAX_EASE_FACTOR - ease) / (MAX_EASE_FACTOR - MIN_EASE_FACTOR) * 9;
+}
+
+function difficultyToEase(difficulty) {
+    return MAX_EASE_FACTOR - (clamp(difficulty, 1, 10) - 1) / 9 * (MAX_EASE_FACTOR - MIN_EASE_FACTOR);
+}
+
+/*
+ * Each scheduler implements:
+ *   initCard(card)                - Fill in its own state from whatever the card already has
+ *   schedule(card, quality, now)  - Set card.interval (days) and model state; called before the
+ *                                   card updates repetitions, lastReviewed and its statistics
+ *   getRetrievability(card, now)  - Predicted probability of recall (0-1)
+ */
+const SCHEDULERS = {
+    sm2: {
+        name: 'SM-2',
+        description: 'Classic SuperMemo 2: intervals grow by an ease factor adjusted after every review',
+
+        initCard() {
+            // easeFactor, interval and repetitions live on every card
+        },
+
+        schedule(card, quality) {
+            if (quality >= 3) {
+                if (card.repetitions === 0) {
+                    card.interval = 1; // 1 day
+                } else if (card.repetitions === 1) {
+                    card.interval = 6; // 6 days
+                } else {
+                    // interval = previous_interval * ease_factor
+                    card.interval = Math.round(card.interval * card.easeFactor);
+                }
+            } else {
+                card.interval = 1; // Start over with 1 day interval
+            }
+
+            // EF' = EF + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+            const qualityFactor = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+            card.easeFactor = Math.max(MIN_EASE_FACTOR, card.easeFactor + qualityFactor);
+        },
+
+        // SM-2 has no memory model; assume recall decays to 90% over one interval
+        getRetrievability(card, now) {
+            if (!card.lastReviewed || card.interval <= 0) return 0;
+            const elapsedDays = Math.max(0, now - card.lastReviewed) / DAY_MS;
+            return Math.pow(FSRS_TARGET_RETENTION, elapsedDays / card.interval);
+        }
+    },
+
+    fsrs: {
+        name: 'FSRS',
+        description: 'Free Spaced Repetition Scheduler: models memory stability and difficulty, aiming for 90% recall',
+
+        // Cards last reviewed under SM-2 start from their interval and ease factor
+        initCard(card) {
+            if (card.isNew || (card.scheduler === 'fsrs' && card.stability)) return;
+            card.stability = Math.max(card.interval, FSRS_WEIGHTS[0]);
+            card.difficulty = easeToDifficulty(card.easeFactor);
+        },
+
+        schedule(card, quality, now) {
+            const w = FSRS_WEIGHTS;
+            const rating = this.toRating(quality);
+            const initialDifficulty = grade => clamp(w[4] - (grade - 3) * w[5], 1, 10);
+
+            if (!card.stability) {
+                card.stability = w[rating - 1];
+                card.difficulty = initialDifficulty(rating);
+            } else {
+                const retrievability = this.getRetrievability(card, now);
+                const { stability, difficulty } = card;
+
+                if (rating === 1) {
+                    card.stability = Math.min(stability, w[11] * Math.pow(difficulty, -w[12]) *
+                        (Math.pow(stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - retrievability)));
+                } else {
+                    const hardPenalty = rating === 2 ? w[15] : 1;
+                    const easyBonus = rating === 4 ? w[16] : 1;
+                    card.stability = stability * (1 + Math.exp(w[8]) * (11 - difficulty) *
+                        Math.pow(stability, -w[9]) * (Math.exp(w[10] * (1 - retrievability)) - 1) *
+                        hardPenalty * easyBonus);
+                }
+
+                // Move difficulty with the rating, then pull it back towards the default
+                const nextDifficulty = difficulty - w[6] * (rating - 3);
+                card.difficulty = clamp(w[7] * initialDifficulty(4) + (1 - w[7]) * nextDifficulty, 1, 10);
+            }
+
+            // Interval at which predicted recall falls to the target retention
+            const interval = card.stability / FSRS_FACTOR * (Math.pow(FSRS_TARGET_RETENTION, 1 / FSRS_DECAY) - 1);
+            card.interval = Math.max(1, Math.round(interval));
+
+            // Keep the ease factor meaningful for mastery stats and for switching back to SM-2
+            card.easeFactor = difficultyToEase(card.difficulty);
+        },
+
+        getRetrievability(card, now) {
+            if (!card.lastReviewed || !card.stability) return 0;
+            const elapsedDays = Math.max(0, now - card.lastReviewed) / DAY_MS;
+            return Math.pow(1 + FSRS_FACTOR * elapsedDays / card.stability, FSRS_DECAY);
+        },
+
+        /**
+         * Map an SM-2 quality grade to an FSRS rating
+         * @param {number} quality - 0-5
+         * @returns {number} - 1 again, 2 hard, 3 good, 4 easy
+         */
+        toRating(quality) {
+            if (quality < 3) return 1;
+            if (quality === 3) return 2;
+            if (quality === 4) return 3;
+            return 4;
+        }
+    }
+};
+
+const Schedulers = {
+    /**
+     * Get a scheduler (falls back to SM-2)
+     * @param {string} schedulerId
+     * @returns {object}
+     */
+    get(schedulerId) {
+        return SCHEDULERS[schedulerId] || SCHEDULERS[DEFAULT_SCHEDULER];
+    },
+
+    /**
+     * Resolve a scheduler id, falling back to the default for unknown ids
+     * @param {string} schedulerId
+     * @returns {string}
+     */
+    resolveId(schedulerId) {
+        return schedulerId in SCHEDULERS ? schedulerId : DEFAULT_SCHEDULER;
+    },
+
+    /**
+     * Get all schedulers as { id, name, description }
+     * @returns {object[]}
+     */
+    getAll() {
+        return Object.entries(SCHEDULERS).map(([id, scheduler]) => ({
+            id,
+            name: scheduler.name,
+            description: scheduler.description
+        }));
+    },
+
+    /**
+     * Move a card onto a scheduler, keeping its due date and history
+     * Called before card.scheduler changes, so initCard can see where the card came from
+     * @param {SM2Card} card
+     * @param {string} schedulerId
+     */
+    migrateCard(card, schedulerId) {
+        const id = this.resolveId(schedulerId);
+        this.get(id).initCard(card);
+        card.scheduler = id;
+    },
+
+    /**
+     * Re-run a review log under a scheduler from scratch
+     * Before each review (except a card's first) the scheduler predicts the chance of recall;
+     * comparing predictions with what actually happened shows how well it models the learner.
+     * Cards go through the same learning steps as in practice, and reviews on a step aren't
+     * predicted since the scheduler doesn't set those delays.
+     * @param {object[]} reviewLog - Entries from storage.appendReview
+     * @param {string} schedulerId
+     * @param {object} steps - { learningSteps, relearningSteps } from the deck, in minutes
+     * @returns {object} - { scheduler, predictions, predictedRetention, actualRetention, logLoss, rmse }
+     */
+    replay(reviewLog, schedulerId, steps = {}) {
+        const id = this.resolveId(schedulerId);
+        const scheduler = this.get(id);
+        const cards = new Map();
+        let predictions = 0;
+        let predictedSum = 0;
+        let correctSum = 0;
+        let logLossSum = 0;
+        let squaredErrorSum = 0;
+
+        [...reviewLog]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(entry => {
+                const key = SM2Deck.cardKey(entry.character, entry.mode);
+                if (!cards.has(key)) {
+                    const card = new SM2Card(entry.character, entry.mode);
+                    card.scheduler = id;
+                    cards.set(key, card);
+                }
+                const card = cards.get(key);
+
+                if (!card.isNew && card.learningStep === null) {
+                    const predicted = clamp(scheduler.getRetrievability(card, entry.timestamp), 0.001, 0.999);
+                    const actual = entry.correct ? 1 : 0;
+                    predictions++;
+                    predictedSum += predicted;
+                    correctSum += actual;
+                    logLossSum -= actual * Math.log(predicted) + (1 - actual) * Math.log(1 - predicted);
+                    squaredErrorSum += Math.pow(predicted - actual, 2);
+                }
+
+                card.review(entry.quality, entry.responseTime, entry.timestamp, steps);
+            });
+
+        return {
+            scheduler: id,
+            predictions,
+            predictedRetention: predictions > 0 ? predictedSum / predictions : 0,
+            actualRetention: predictions > 0 ? correctSum / predictions : 0,
+            logLoss: predictions > 0 ? logLossSum / predictions : 0,
+            rmse: predictions > 0 ? Math.sqrt(squaredErrorSum / predictions) : 0
+        };
+    },
+
+    /**
+     * Replay a review log under every scheduler
+     * @param {object[]} reviewLog
+     * @param {object} steps - { learningSteps, relearningSteps }
+     * @returns {object[]}
+     */
+    compare(reviewLog, steps = {}) {
+        return Object.keys(SCHEDULERS).map(id => this.replay(reviewLog, id, steps));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCHEDULERS, Schedulers };
+}
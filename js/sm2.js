@@ -2,31 +2,40 @@
  * SM-2 Spaced Repetition Algorithm
  * Implementation based on SuperMemo SM-2 algorithm
  * https://www.supermemo.com/en/archives1990-2015/english/ol/sm2
+ * Interval math is delegated to a scheduler (see schedulers.js); SM-2 is the default
  */
 
 class SM2Card {
     /**
      * Create a new SM-2 card for a character
-     * @param {string} character - Thai character
+     * @param {string} character - Thai character (or drill item)
+     * @param {string} mode - Drill mode this card is scheduled for
      */
-    constructor(character) {
+    constructor(character, mode = 'roman') {
         this.character = character;
+        this.mode = mode;
+        this.scheduler = DEFAULT_SCHEDULER; // Scheduler id that sets the intervals
         this.easeFactor = 2.5; // Initial ease factor
         this.interval = 0; // Days until next review
         this.repetitions = 0; // Number of consecutive correct reviews
         this.nextReview = Date.now(); // Timestamp of next review (initially due now)
         this.lastReviewed = null; // Timestamp of last review
+        this.stability = null; // FSRS: days until recall drops to 90%
+        this.difficulty = null; // FSRS: 1 (easy) to 10 (hard)
 
         // Statistics
         this.totalReviews = 0;
         this.correctCount = 0;
         this.incorrectCount = 0;
         this.averageResponseTime = 0;
+        this.lastQuality = null; // Grade given at the most recent review
 
         // State
         this.isNew = true; // Never been reviewed
         this.isLearning = false; // In learning phase (repetitions 0-1)
         this.isMature = false; // Mature card (repetitions >= 2)
+        this.learningStep = null; // Index into the learning/relearning steps, null once graduated
+        this.isRelearning = false; // Stepping back up after a lapse
     }
 
     /**
@@ -39,14 +48,38 @@ class SM2Card {
      *   4: Correct with some hesitation
      *   5: Perfect recall
      * @param {number} responseTime - Time taken to answer in milliseconds
+     * @param {number} now - Review timestamp (the review log replay passes past times)
+     * @param {object} steps - Short delays in minutes, shown again within the session
+     * @param {number[]} steps.learningSteps - For new cards before they graduate to the scheduler
+     * @param {number[]} steps.relearningSteps - For cards that lapsed
      */
-    review(quality, responseTime = 0) {
+    review(quality, responseTime = 0, now = Date.now(), { learningSteps = [], relearningSteps = [] } = {}) {
         // Validate quality
         quality = Math.max(0, Math.min(5, quality));
+        const correct = quality >= 3;
+
+        // New cards start on the first learning step
+        if (this.isNew && learningSteps.length > 0) {
+            this.learningStep = 0;
+        }
+
+        // Work out where the card goes before updating anything
+        const stepList = this.isRelearning ? relearningSteps : learningSteps;
+        const inSteps = this.learningStep !== null && stepList.length > 0;
+        const nextStep = correct ? this.learningStep + 1 : 0;
+        const staysInSteps = inSteps && nextStep < stepList.length;
+        const graduatesFromRelearning = inSteps && !staysInSteps && this.isRelearning;
+
+        // Scheduler sets the new interval from the card as it was before this review
+        // (relearning cards already got theirs when they lapsed)
+        if (!staysInSteps && !graduatesFromRelearning) {
+            Schedulers.get(this.scheduler).schedule(this, quality, now);
+        }
 
         // Update statistics
         this.totalReviews++;
-        this.lastReviewed = Date.now();
+        this.lastReviewed = now;
+        this.lastQuality = quality;
         this.isNew = false;
 
         if (responseTime > 0) {
@@ -58,21 +91,28 @@ class SM2Card {
             }
         }
 
-        // SM-2 Algorithm Core Logic
-        if (quality >= 3) {
-            // Correct answer
+        if (correct) {
             this.correctCount++;
+        } else {
+            this.incorrectCount++;
+        }
 
-            // Calculate new interval
-            if (this.repetitions === 0) {
-                this.interval = 1; // 1 day
-                this.isLearning = true;
-            } else if (this.repetitions === 1) {
-                this.interval = 6; // 6 days
+        if (staysInSteps) {
+            this.learningStep = nextStep;
+            this.isLearning = true;
+            this.isMature = false;
+            this.nextReview = now + stepList[nextStep] * 60 * 1000;
+            return;
+        }
+
+        this.learningStep = null;
+        this.isRelearning = false;
+
+        if (correct) {
+            // Correct answer
+            if (this.repetitions < 2) {
                 this.isLearning = true;
             } else {
-                // interval = previous_interval * ease_factor
-                this.interval = Math.round(this.interval * this.easeFactor);
                 this.isLearning = false;
                 this.isMature = true;
             }
@@ -80,22 +120,23 @@ class SM2Card {
             this.repetitions++;
         } else {
             // Incorrect answer - reset to beginning
-            this.incorrectCount++;
             this.repetitions = 0;
-            this.interval = 1; // Start over with 1 day interval
             this.isLearning = true;
             this.isMature = false;
-        }
 
-        // Update ease factor based on quality
-        // EF' = EF + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
-        const qualityFactor = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
-        this.easeFactor = Math.max(1.3, this.easeFactor + qualityFactor);
+            // Lapsed cards come back within the session before their new interval starts
+            if (relearningSteps.length > 0) {
+                this.learningStep = 0;
+                this.isRelearning = true;
+                this.nextReview = now + relearningSteps[0] * 60 * 1000;
+                return;
+            }
+        }
 
         // Schedule next review
         // Convert days to milliseconds
         const intervalMs = this.interval * 24 * 60 * 60 * 1000;
-        this.nextReview = Date.now() + intervalMs;
+        this.nextReview = now + intervalMs;
     }
 
     /**
@@ -163,18 +204,25 @@ class SM2Card {
     toJSON() {
         return {
             character: this.character,
+            mode: this.mode,
+            scheduler: this.scheduler,
             easeFactor: this.easeFactor,
             interval: this.interval,
             repetitions: this.repetitions,
             nextReview: this.nextReview,
             lastReviewed: this.lastReviewed,
+            stability: this.stability,
+            difficulty: this.difficulty,
             totalReviews: this.totalReviews,
             correctCount: this.correctCount,
             incorrectCount: this.incorrectCount,
             averageResponseTime: this.averageResponseTime,
+            lastQuality: this.lastQuality,
             isNew: this.isNew,
             isLearning: this.isLearning,
-            isMature: this.isMature
+            isMature: this.isMature,
+            learningStep: this.learningStep,
+            isRelearning: this.isRelearning
         };
     }
 
@@ -184,7 +232,7 @@ class SM2Card {
      * @returns {SM2Card}
      */
     static fromJSON(data) {
-        const card = new SM2Card(data.character);
+        const card = new SM2Card(data.character, data.mode);
         Object.assign(card, data);
         return card;
     }
@@ -196,37 +244,151 @@ class SM2Card {
  */
 class SM2Deck {
     constructor() {
-        this.cards = new Map(); // character -> SM2Card
+        this.cards = new Map(); // card key -> SM2Card
         this.newCardsPerDay = 5; // Limit new cards per day
         this.maxReviewsPerSession = 50; // Limit reviews per session
+        this.scheduler = DEFAULT_SCHEDULER;
+        this.learningSteps = [1, 10]; // Minutes between showings of a new card
+        this.relearningSteps = [10]; // Minutes between showings of a lapsed card
+        this.learnAheadMinutes = 20; // Show step cards early rather than end the session
+        this.dayOptions = { timezone: null, dayStartHour: DEFAULT_DAY_START_HOUR }; // When a study day rolls over
+        this.dayCounts = { day: null, newCards: 0, reviews: 0 }; // Cards introduced and reviewed today
+        this.sessionReviews = 0; // Reviews since the session started (not saved)
+    }
+
+    /**
+     * Start counting reviews for a new session
+     */
+    startSession() {
+        this.sessionReviews = 0;
+    }
+
+    /**
+     * Get today's counters, resetting them when the study day has rolled over
+     * @returns {object} - { day, newCards, reviews }
+     */
+    getTodayCounts() {
+        const today = StudyDay.getKey(Date.now(), this.dayOptions);
+        if (this.dayCounts.day !== today) {
+            this.dayCounts = { day: today, newCards: 0, reviews: 0 };
+        }
+        return this.dayCounts;
+    }
+
+    /**
+     * Get how many more new cards may be introduced today
+     * @returns {number}
+     */
+    getNewCardsRemaining() {
+        return Math.max(0, this.newCardsPerDay - this.getTodayCounts().newCards);
+    }
+
+    /**
+     * Check whether this session has used up its reviews
+     * @returns {boolean}
+     */
+    isSessionLimitReached() {
+        return this.sessionReviews >= this.maxReviewsPerSession;
+    }
+
+    /**
+     * Review a card using this deck's learning steps
+     * @param {SM2Card} card
+     * @param {number} quality - Quality of recall (0-5)
+     * @param {number} responseTime - Milliseconds
+     * @param {number} now - Review timestamp
+     */
+    reviewCard(card, quality, responseTime = 0, now = Date.now()) {
+        const wasNew = card.isNew;
+
+        card.review(quality, responseTime, now, {
+            learningSteps: this.learningSteps,
+            relearningSteps: this.relearningSteps
+        });
+
+        const counts = this.getTodayCounts();
+        if (wasNew) {
+            counts.newCards++;
+        } else {
+            counts.reviews++;
+        }
+        this.sessionReviews++;
+    }
+
+    /**
+     * Switch every card to a scheduler
+     * Cards keep their due dates and history; the scheduler derives its own state from them
+     * @param {string} schedulerId
+     */
+    setScheduler(schedulerId) {
+        this.scheduler = Schedulers.resolveId(schedulerId);
+        this.cards.forEach(card => Schedulers.migrateCard(card, this.scheduler));
+    }
+
+    /**
+     * Build the storage key for a card
+     * Romanization cards keep the bare character so existing decks load unchanged
+     * @param {string} character
+     * @param {string} mode
+     * @returns {string}
+     */
+    static cardKey(character, mode = 'roman') {
+        return mode === 'roman' ? character : `${mode}:${character}`;
     }
 
     /**
      * Add or update a card in the deck
      * @param {string} character - Thai character
+     * @param {string} mode - Drill mode
      */
-    addCard(character) {
-        if (!this.cards.has(character)) {
-            this.cards.set(character, new SM2Card(character));
+    addCard(character, mode = 'roman') {
+        const key = SM2Deck.cardKey(character, mode);
+        if (!this.cards.has(key)) {
+            const card = new SM2Card(character, mode);
+            card.scheduler = this.scheduler;
+            this.cards.set(key, card);
         }
-        return this.cards.get(character);
+        return this.cards.get(key);
+    }
+
+    /**
+     * Remove a card from the deck
+     * @param {string} character
+     * @param {string} mode - Drill mode
+     * @returns {boolean} - Whether there was a card to remove
+     */
+    removeCard(character, mode = 'roman') {
+        return this.cards.delete(SM2Deck.cardKey(character, mode));
     }
 
     /**
      * Get a card from the deck
      * @param {string} character
+     * @param {string} mode - Drill mode
      * @returns {SM2Card}
      */
-    getCard(character) {
-        return this.cards.get(character);
+    getCard(character, mode = 'roman') {
+        return this.cards.get(SM2Deck.cardKey(character, mode));
+    }
+
+    /**
+     * Get all cards, optionally only those for one drill mode
+     * @param {string|null} mode
+     * @returns {SM2Card[]}
+     */
+    getCards(mode = null) {
+        const cards = Array.from(this.cards.values());
+        return mode ? cards.filter(card => card.mode === mode) : cards;
     }
 
     /**
      * Get all due cards sorted by priority (most overdue first)
+     * New cards are not due; they are introduced through getNewCards
+     * @param {string|null} mode - Drill mode (all modes if omitted)
      * @returns {SM2Card[]}
      */
-    getDueCards() {
-        const dueCards = Array.from(this.cards.values()).filter(card => card.isDue());
+    getDueCards(mode = null) {
+        const dueCards = this.getCards(mode).filter(card => !card.isNew && card.isDue());
         // Sort by days overdue (descending)
         return dueCards.sort((a, b) => b.getDaysOverdue() - a.getDaysOverdue());
     }
@@ -234,30 +396,60 @@ class SM2Deck {
     /**
      * Get new cards that haven't been reviewed yet
      * @param {number} limit - Maximum number of new cards to return
+     * @param {string|null} mode - Drill mode (all modes if omitted)
      * @returns {SM2Card[]}
      */
-    getNewCards(limit = this.newCardsPerDay) {
-        const newCards = Array.from(this.cards.values()).filter(card => card.isNew);
+    getNewCards(limit = this.getNewCardsRemaining(), mode = null) {
+        const newCards = this.getCards(mode).filter(card => card.isNew);
         return newCards.slice(0, limit);
     }
 
     /**
-     * Get next card to review (due cards first, then new cards)
+     * Get cards on a learning or relearning step, soonest first
+     * @param {string|null} mode - Drill mode (all modes if omitted)
+     * @returns {SM2Card[]}
+     */
+    getStepCards(mode = null) {
+        return this.getCards(mode)
+            .filter(card => card.learningStep !== null)
+            .sort((a, b) => a.nextReview - b.nextReview);
+    }
+
+    /**
+     * Get next card to review (step cards, then due cards, then new cards)
+     * @param {string|null} mode - Drill mode (all modes if omitted)
      * @returns {SM2Card|null}
      */
-    getNextCard() {
-        // Priority 1: Due cards (most overdue first)
-        const dueCards = this.getDueCards();
+    getNextCard(mode = null) {
+        if (this.isSessionLimitReached()) {
+            return null;
+        }
+
+        const stepCards = this.getStepCards(mode);
+
+        // Priority 1: Learning/relearning cards whose step has elapsed
+        if (stepCards.length > 0 && stepCards[0].isDue()) {
+            return stepCards[0];
+        }
+
+        // Priority 2: Due cards (most overdue first)
+        const dueCards = this.getDueCards(mode);
         if (dueCards.length > 0) {
             return dueCards[0];
         }
 
-        // Priority 2: New cards (up to daily limit)
-        const newCards = this.getNewCards(1);
+        // Priority 3: New cards (up to daily limit)
+        const newCards = this.getNewCards(Math.min(1, this.getNewCardsRemaining()), mode);
         if (newCards.length > 0) {
             return newCards[0];
         }
 
+        // Priority 4: Step cards coming up soon, rather than ending the session
+        const learnAheadUntil = Date.now() + this.learnAheadMinutes * 60 * 1000;
+        if (stepCards.length > 0 && stepCards[0].nextReview <= learnAheadUntil) {
+            return stepCards[0];
+        }
+
         return null;
     }
 
@@ -273,7 +465,7 @@ class SM2Deck {
             new: cards.filter(c => c.isNew).length,
             learning: cards.filter(c => c.isLearning && !c.isNew).length,
             mature: cards.filter(c => c.isMature).length,
-            due: cards.filter(c => c.isDue()).length,
+            due: cards.filter(c => !c.isNew && c.isDue()).length,
             totalReviews: cards.reduce((sum, c) => sum + c.totalReviews, 0),
             totalCorrect: cards.reduce((sum, c) => sum + c.correctCount, 0),
             totalIncorrect: cards.reduce((sum, c) => sum + c.incorrectCount, 0)
@@ -286,13 +478,18 @@ class SM2Deck {
      */
     toJSON() {
         const cardsData = {};
-        this.cards.forEach((card, character) => {
-            cardsData[character] = card.toJSON();
+        this.cards.forEach((card, key) => {
+            cardsData[key] = card.toJSON();
         });
         return {
             cards: cardsData,
             newCardsPerDay: this.newCardsPerDay,
-            maxReviewsPerSession: this.maxReviewsPerSession
+            maxReviewsPerSession: this.maxReviewsPerSession,
+            scheduler: this.scheduler,
+            learningSteps: this.learningSteps,
+            relearningSteps: this.relearningSteps,
+            learnAheadMinutes: this.learnAheadMinutes,
+            dayCounts: this.dayCounts
         };
     }
 
@@ -305,10 +502,15 @@ class SM2Deck {
         const deck = new SM2Deck();
         deck.newCardsPerDay = data.newCardsPerDay || 5;
         deck.maxReviewsPerSession = data.maxReviewsPerSession || 50;
+        deck.scheduler = Schedulers.resolveId(data.scheduler);
+        deck.learningSteps = data.learningSteps || deck.learningSteps;
+        deck.relearningSteps = data.relearningSteps || deck.relearningSteps;
+        deck.learnAheadMinutes = data.learnAheadMinutes ?? deck.learnAheadMinutes;
+        deck.dayCounts = data.dayCounts || deck.dayCounts;
 
         if (data.cards) {
-            Object.entries(data.cards).forEach(([character, cardData]) => {
-                deck.cards.set(character, SM2Card.fromJSON(cardData));
+            Object.entries(data.cards).forEach(([key, cardData]) => {
+                deck.cards.set(key, SM2Card.fromJSON(cardData));
             });
         }
 
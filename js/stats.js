@@ -3,10 +3,28 @@
  * Handles calculation and tracking of learning statistics
  */
 
+// Correct answers faster than this earn a perfect grade in calculateQuality
+const FAST_RESPONSE_MS = 3000;
+
+// Study time stops counting after this long without input
+const DEFAULT_IDLE_TIMEOUT_SECONDS = 60;
+
+// Correct answers needed before a character's response times mean anything
+const MIN_TIMED_REVIEWS = 3;
+
+// The forecast assumes every future review is answered correctly with this grade
+const FORECAST_QUALITY = 4;
+
 class Stats {
     constructor() {
         this.sessionStartTime = null;
         this.sessionReviewTimes = []; // Array of response times for current session
+
+        // Active study time: gaps between inputs count up to the idle timeout
+        this.idleTimeout = DEFAULT_IDLE_TIMEOUT_SECONDS * 1000;
+        this.lastActivity = null; // null while paused (tab hidden)
+        this.activeTime = 0; // Active milliseconds this session
+        this.pendingTime = 0; // Active milliseconds not yet saved
     }
 
     /**
@@ -15,15 +33,66 @@ class Stats {
     startSession() {
         this.sessionStartTime = Date.now();
         this.sessionReviewTimes = [];
+        this.lastActivity = this.sessionStartTime;
+        this.activeTime = 0;
+        this.pendingTime = 0;
+    }
+
+    /**
+     * Set how long without input before study time stops counting
+     * @param {number} seconds
+     */
+    setIdleTimeout(seconds) {
+        this.idleTimeout = (seconds > 0 ? seconds : DEFAULT_IDLE_TIMEOUT_SECONDS) * 1000;
+    }
+
+    /**
+     * Note learner input; time since the previous input counts, capped at the idle timeout
+     * @param {number} now
+     */
+    recordActivity(now = Date.now()) {
+        if (this.lastActivity !== null) {
+            const active = Math.min(Math.max(0, now - this.lastActivity), this.idleTimeout);
+            this.activeTime += active;
+            this.pendingTime += active;
+        }
+        this.lastActivity = now;
+    }
+
+    /**
+     * Stop the clock (tab hidden), counting time up to now
+     * @param {number} now
+     */
+    pauseTimer(now = Date.now()) {
+        this.recordActivity(now);
+        this.lastActivity = null;
+    }
+
+    /**
+     * Restart the clock (tab visible again)
+     * @param {number} now
+     */
+    resumeTimer(now = Date.now()) {
+        this.lastActivity = now;
+    }
+
+    /**
+     * Hand over active time that hasn't been saved yet
+     * @returns {number} - Milliseconds
+     */
+    takePendingTime() {
+        const pending = this.pendingTime;
+        this.pendingTime = 0;
+        return pending;
     }
 
     /**
-     * Get session duration in milliseconds
+     * Get active session duration in milliseconds (idle time excluded)
      * @returns {number}
      */
     getSessionDuration() {
         if (!this.sessionStartTime) return 0;
-        return Date.now() - this.sessionStartTime;
+        return this.activeTime;
     }
 
     /**
@@ -127,7 +196,7 @@ class Stats {
     getDueCardsCount(data) {
         const now = Date.now();
         return Object.values(data.deck.cards).filter(card =>
-            card.nextReview <= now
+            !card.isNew && card.nextReview <= now
         ).length;
     }
 
@@ -137,21 +206,54 @@ class Stats {
      * @returns {number}
      */
     getLearnedTodayCount(data) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = StudyDay.getKey(Date.now(), StudyDay.getOptions(data.settings));
         return data.stats.dailyStats[today]?.reviews || 0;
     }
 
+    /**
+     * Get active study time today
+     * @param {object} data - Storage data
+     * @returns {number} - Milliseconds
+     */
+    getTimeSpentToday(data) {
+        const today = StudyDay.getKey(Date.now(), StudyDay.getOptions(data.settings));
+        return data.stats.dailyStats[today]?.timeSpent || 0;
+    }
+
+    /**
+     * Get study time per drill mode, most studied first
+     * @param {object} data - Storage data
+     * @param {number|null} days - Only the last N study days (all time if null)
+     * @returns {object[]} - [{ mode, time }]
+     */
+    getTimeByMode(data, days = null) {
+        let totals = data.stats.timeByMode || {};
+
+        if (days) {
+            totals = {};
+            StudyDay.getRecentKeys(days, StudyDay.getOptions(data.settings)).forEach(day => {
+                Object.entries(data.stats.dailyStats[day]?.timeByMode || {}).forEach(([mode, time]) => {
+                    totals[mode] = (totals[mode] || 0) + time;
+                });
+            });
+        }
+
+        return Object.entries(totals)
+            .map(([mode, time]) => ({ mode, time }))
+            .sort((a, b) => b.time - a.time);
+    }
+
     /**
      * Calculate quality grade based on correctness and response time
      * @param {boolean} correct - Whether answer was correct
      * @param {number} responseTime - Time in milliseconds
+     * @param {object} attempt - Details of a wrong answer, see gradeWrongAnswer
      * @returns {number} - Quality grade (0-5)
      */
-    calculateQuality(correct, responseTime) {
+    calculateQuality(correct, responseTime, attempt = {}) {
         if (!correct) {
             // Wrong answer: grade 0-2 based on how wrong
-            // For now, just return 1 (incorrect but familiar)
-            return 1;
+            return this.gradeWrongAnswer(attempt);
         }
 
         // Correct answer: grade 3-5 based on response time
@@ -160,7 +262,7 @@ class Stats {
         // Slow: > 6 seconds = 3 (barely correct)
         const secondsToAnswer = responseTime / 1000;
 
-        if (secondsToAnswer < 3) {
+        if (responseTime < FAST_RESPONSE_MS) {
             return 5; // Perfect recall
         } else if (secondsToAnswer < 6) {
             return 4; // Good recall
@@ -169,6 +271,65 @@ class Stats {
         }
     }
 
+    /**
+     * Grade a wrong answer by how close it came
+     * 2: mixed up with a known look-alike, or one edit away from an accepted spelling of 2+ letters
+     * 1: familiar - a plausible pick, or within half the answer's length in edits
+     * 0: blank or nowhere near
+     * Needing the reveal costs one grade
+     * @param {object} attempt
+     * @param {string} attempt.input - What the learner typed or picked
+     * @param {string[]} attempt.acceptedAnswers - Spellings to measure edit distance against (empty for picked answers)
+     * @param {string[]} attempt.confusedWith - Characters the answer points at
+     * @param {string[]} attempt.lookAlikes - The character's listed confusesWith
+     * @param {boolean} attempt.revealed - Whether the learner gave up and revealed the answer
+     * @returns {number} - Quality grade (0-2)
+     */
+    gradeWrongAnswer({ input = '', acceptedAnswers = [], confusedWith = [], lookAlikes = [], revealed = false } = {}) {
+        const answer = input.trim().toLowerCase();
+        if (!answer) return 0;
+
+        let grade;
+        if (confusedWith.some(char => lookAlikes.includes(char))) {
+            grade = 2;
+        } else if (acceptedAnswers.length > 0) {
+            const distance = Math.min(...acceptedAnswers.map(accepted => this.editDistance(answer, accepted)));
+            const length = Math.max(...acceptedAnswers.map(accepted => accepted.length));
+            // Any wrong letter is one edit from a one-letter answer, so only longer spellings have slips
+            const slip = acceptedAnswers.some(accepted =>
+                accepted.length >= 2 && this.editDistance(answer, accepted) <= 1);
+
+            if (slip) grade = 2;
+            else if (distance <= Math.ceil(length / 2)) grade = 1;
+            else grade = 0;
+        } else {
+            grade = 1;
+        }
+
+        return revealed ? Math.max(0, grade - 1) : grade;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
     /**
      * Get learning progress for current level
      * @param {object} data - Storage data
@@ -209,15 +370,56 @@ class Stats {
      * @returns {boolean}
      */
     shouldUnlockLevel(data, levelNumber) {
-        if (levelNumber <= 1) return true; // Level 1 always unlocked
+        const override = data.settings.levelOverrides?.[levelNumber];
+        if (override === 'locked') return false;
+        if (override === 'unlocked') return true;
         if (data.settings.unlockedLevels.includes(levelNumber)) return true; // Already unlocked
 
+        return this.getLevelUnlockStatus(data, levelNumber).criteriaMet;
+    }
+
+    /**
+     * Get how close a level is to unlocking
+     * Criteria are measured on the previous level's romanization cards
+     * @param {object} data - Storage data
+     * @param {number} levelNumber
+     * @returns {object} - { level, status, override, criteriaMet, criteria: [{ label, current, required, met, format }] }
+     */
+    getLevelUnlockStatus(data, levelNumber) {
         const levelInfo = ThaiData.getLevelInfo(levelNumber);
-        if (!levelInfo) return false;
+        const previous = ThaiData.getPreviousLevel(levelNumber);
+        const override = data.settings.levelOverrides?.[levelNumber] || null;
+        const criteria = [];
+
+        if (levelInfo?.unlock && previous) {
+            const { accuracy = 0, minReviews = 0, matureCards = 0 } = levelInfo.unlock;
+            let reviews = 0;
+            let mature = 0;
+
+            previous.characters.forEach(char => {
+                const card = data.deck.cards[char];
+                if (card) {
+                    reviews += card.totalReviews;
+                    if (card.isMature) mature++;
+                }
+            });
+
+            const currentAccuracy = storage.getLevelAccuracy(data, previous.number);
+            criteria.push(
+                { label: 'Accuracy', current: currentAccuracy, required: accuracy * 100, format: 'percent' },
+                { label: 'Reviews', current: reviews, required: minReviews, format: 'count' },
+                { label: 'Mature cards', current: mature, required: matureCards, format: 'count' }
+            );
+            criteria.forEach(criterion => {
+                criterion.met = criterion.current >= criterion.required;
+            });
+        }
 
-        // Check if previous level has met accuracy threshold
-        const previousLevelAccuracy = storage.getLevelAccuracy(data, levelNumber - 1);
-        return previousLevelAccuracy >= (levelInfo.unlockThreshold * 100);
+        const criteriaMet = criteria.every(criterion => criterion.met);
+        let status = data.settings.unlockedLevels.includes(levelNumber) ? 'unlocked' : 'locked';
+        if (override) status = override;
+
+        return { level: levelInfo, status, override, criteriaMet, criteria };
     }
 
     /**
@@ -228,13 +430,8 @@ class Stats {
      */
     getDailyStatsHistory(data, days = 30) {
         const history = [];
-        const today = new Date();
-
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
 
+        StudyDay.getRecentKeys(days, StudyDay.getOptions(data.settings)).forEach(dateStr => {
             const dayStats = data.stats.dailyStats[dateStr] || {
                 reviews: 0,
                 correct: 0,
@@ -247,22 +444,242 @@ class Stats {
                 ...dayStats,
                 accuracy: dayStats.reviews > 0 ? (dayStats.correct / dayStats.reviews) * 100 : 0
             });
-        }
+        });
 
         return history;
     }
 
+    /**
+     * Get the stored cards for one drill mode (all modes if none given)
+     * @param {object} data - Storage data
+     * @param {string|null} mode
+     * @returns {object[]}
+     */
+    getModeCards(data, mode = null) {
+        return Object.entries(data.deck.cards)
+            .map(([key, card]) => ({ ...card, character: card.character || key, mode: card.mode || 'roman' }))
+            .filter(card => !mode || card.mode === mode);
+    }
+
+    /**
+     * Get how far along each character is in one drill mode
+     * @param {object} data - Storage data
+     * @param {string[]} characters
+     * @param {string} mode
+     * @returns {object[]} - [{ character, state, accuracy, totalReviews, interval, struggling }]
+     */
+    getCharacterMastery(data, characters, mode = 'roman') {
+        return characters.map(character => {
+            const card = data.deck.cards[SM2Deck.cardKey(character, mode)];
+            if (!card || card.totalReviews === 0) {
+                return { character, state: 'new', accuracy: 0, totalReviews: 0, interval: 0, struggling: false };
+            }
+
+            let state = 'learning';
+            if (card.isMature && card.repetitions >= 3) state = 'mastered';
+            else if (card.isMature) state = 'mature';
+
+            return {
+                character,
+                state,
+                accuracy: (card.correctCount / card.totalReviews) * 100,
+                totalReviews: card.totalReviews,
+                interval: card.interval,
+                struggling: card.easeFactor < 2.0 // 'hard' or worse in SM2Card.getDifficulty
+            };
+        });
+    }
+
+    /**
+     * Project the review workload and retention over the coming days
+     * Pure: simulates copies of the deck's cards and changes nothing. Each card comes back at its
+     * nextReview and then after every new interval (learning steps included), assuming each review
+     * is answered correctly at FORECAST_QUALITY. Overdue cards count towards today; new cards of the
+     * active drill mode are introduced at newCardsPerDay (less those already introduced today) until
+     * none remain, and then come back like the rest.
+     * @param {object} data - Storage data
+     * @param {number} days - Number of days to project, starting today
+     * @param {number} now - Timestamp to project from
+     * @returns {object} - { days: [{ date, reviews, newCards, minutes, retention }], retention, averageMinutes, totalReviews }
+     */
+    getForecast(data, days = 30, now = Date.now()) {
+        const options = StudyDay.getOptions(data.settings);
+        const today = StudyDay.getKey(now, options);
+        const forecast = Array.from({ length: days }, (_, i) => ({
+            date: StudyDay.addDays(today, i),
+            reviews: 0,
+            newCards: 0,
+            minutes: 0,
+            retention: 0
+        }));
+        const dayIndex = new Map(forecast.map((day, i) => [day.date, i]));
+        const recallSums = new Array(days).fill(0);
+        const recallCounts = new Array(days).fill(0);
+        const steps = {
+            learningSteps: data.deck.learningSteps || [1, 10],
+            relearningSteps: data.deck.relearningSteps || [10]
+        };
+
+        const cards = Object.values(data.deck.cards);
+        const reviewed = cards.filter(card => !card.isNew && card.totalReviews > 0);
+        const timedCards = reviewed.filter(card => card.averageResponseTime > 0);
+        const fallbackTime = timedCards.length > 0
+            ? timedCards.reduce((sum, card) => sum + card.averageResponseTime, 0) / timedCards.length
+            : 5000;
+
+        // Follow one card through the window: its reviews, and its chance of recall on each day
+        const project = (card, from) => {
+            const copy = SM2Card.fromJSON(card);
+            const scheduler = Schedulers.get(copy.scheduler);
+            const minutes = (card.averageResponseTime || fallbackTime) / 60000;
+            let due = Math.max(copy.nextReview, from);
+            let day = 0; // First day whose recall hasn't been counted yet
+
+            const countRecallUntil = time => {
+                for (; day < days && now + day * DAY_MS <= time; day++) {
+                    if (!copy.isNew) {
+                        recallSums[day] += scheduler.getRetrievability(copy, now + day * DAY_MS);
+                        recallCounts[day]++;
+                    }
+                }
+            };
+
+            let index = dayIndex.get(StudyDay.getKey(due, options));
+            while (index !== undefined) {
+                countRecallUntil(due);
+                if (copy.isNew) {
+                    forecast[index].newCards++;
+                } else {
+                    forecast[index].reviews++;
+                }
+                forecast[index].minutes += minutes;
+
+                copy.review(FORECAST_QUALITY, 0, due, steps);
+                if (copy.nextReview <= due) break;
+                due = copy.nextReview;
+                index = dayIndex.get(StudyDay.getKey(due, options));
+            }
+            countRecallUntil(Infinity);
+        };
+
+        reviewed.forEach(card => project(card, now));
+
+        // Like SM2Deck.getNextCard: only the active drill mode introduces new cards, and today
+        // only what is left of the daily limit
+        const perDay = data.deck.newCardsPerDay || 5;
+        const mode = Drills.resolveModeId(data.settings.drillMode);
+        const dayCounts = data.deck.dayCounts;
+        const introducedToday = dayCounts?.day === today ? dayCounts.newCards : 0;
+        const newCards = cards.filter(card => card.isNew && (card.mode || DEFAULT_DRILL_MODE) === mode);
+        forecast.forEach((day, i) => {
+            const limit = i === 0 ? Math.max(0, perDay - introducedToday) : perDay;
+            newCards.splice(0, limit).forEach(card => project(card, now + i * DAY_MS));
+        });
+
+        // Average chance of recalling each card studied by then
+        forecast.forEach((day, i) => {
+            day.retention = recallCounts[i] > 0 ? (recallSums[i] / recallCounts[i]) * 100 : 0;
+        });
+
+        return {
+            days: forecast,
+            retention: forecast.length > 0 ? forecast[0].retention : 0,
+            averageMinutes: forecast.reduce((sum, day) => sum + day.minutes, 0) / days,
+            totalReviews: forecast.reduce((sum, day) => sum + day.reviews, 0)
+        };
+    }
+
+    /**
+     * Get a percentile of a list of numbers (nearest rank)
+     * @param {number[]} values
+     * @param {number} p - 0-1
+     * @returns {number}
+     */
+    percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    }
+
+    /**
+     * Get per-character response-time distributions from the review log, slowest first
+     * Times come from correct answers only; wrong answers say nothing about fluency.
+     * trend compares the median of the later half of answers with the earlier half (negative = getting faster).
+     * @param {object} data - Storage data
+     * @param {string|null} mode - Drill mode (all modes if null)
+     * @returns {object[]} - [{ character, mode, count, median, p90, trend, recent, accuracy, slow }]
+     */
+    getResponseTimeProfiles(data, mode = null) {
+        const groups = new Map();
+
+        storage.getReviews(data, { mode }).forEach(entry => {
+            const key = SM2Deck.cardKey(entry.character, entry.mode);
+            if (!groups.has(key)) {
+                groups.set(key, { character: entry.character, mode: entry.mode, times: [], reviews: 0, correct: 0 });
+            }
+            const group = groups.get(key);
+            group.reviews++;
+            if (entry.correct) {
+                group.correct++;
+                if (entry.responseTime > 0) {
+                    group.times.push(entry.responseTime);
+                }
+            }
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.times.length > 0)
+            .map(({ character, mode, times, reviews, correct }) => {
+                const median = this.percentile(times, 0.5);
+                const half = Math.floor(times.length / 2);
+                const trend = times.length >= 2 * MIN_TIMED_REVIEWS
+                    ? this.percentile(times.slice(half), 0.5) - this.percentile(times.slice(0, half), 0.5)
+                    : 0;
+                const accuracy = (correct / reviews) * 100;
+
+                return {
+                    character,
+                    mode,
+                    count: times.length,
+                    median,
+                    p90: this.percentile(times, 0.9),
+                    trend,
+                    recent: times.slice(-20),
+                    accuracy,
+                    // Known, but not yet automatic
+                    slow: times.length >= MIN_TIMED_REVIEWS && accuracy >= 80 && median >= FAST_RESPONSE_MS
+                };
+            })
+            .sort((a, b) => b.median - a.median);
+    }
+
+    /**
+     * Get the slowest characters with enough timed answers to judge, for a fluency session
+     * @param {object} data - Storage data
+     * @param {string} mode - Drill mode
+     * @param {number} count
+     * @returns {string[]}
+     */
+    getSlowestCharacters(data, mode, count = 5) {
+        return this.getResponseTimeProfiles(data, mode)
+            .filter(profile => profile.count >= MIN_TIMED_REVIEWS)
+            .slice(0, count)
+            .map(profile => profile.character);
+    }
+
     /**
      * Get top difficult characters (lowest ease factors)
      * @param {object} data - Storage data
      * @param {number} count - Number of characters to return
+     * @param {string|null} mode - Drill mode (all modes if null)
      * @returns {array}
      */
-    getDifficultCharacters(data, count = 10) {
-        const cards = Object.entries(data.deck.cards)
-            .filter(([_, card]) => card.totalReviews > 0)
-            .map(([char, card]) => ({
-                character: char,
+    getDifficultCharacters(data, count = 10, mode = null) {
+        const cards = this.getModeCards(data, mode)
+            .filter(card => card.totalReviews > 0)
+            .map(card => ({
+                character: card.character,
+                mode: card.mode,
                 easeFactor: card.easeFactor,
                 accuracy: card.totalReviews > 0 ? (card.correctCount / card.totalReviews) * 100 : 0,
                 totalReviews: card.totalReviews
@@ -276,13 +693,15 @@ class Stats {
      * Get mastered characters (high ease factors)
      * @param {object} data - Storage data
      * @param {number} count - Number of characters to return
+     * @param {string|null} mode - Drill mode (all modes if null)
      * @returns {array}
      */
-    getMasteredCharacters(data, count = 10) {
-        const cards = Object.entries(data.deck.cards)
-            .filter(([_, card]) => card.isMature && card.repetitions >= 3)
-            .map(([char, card]) => ({
-                character: char,
+    getMasteredCharacters(data, count = 10, mode = null) {
+        const cards = this.getModeCards(data, mode)
+            .filter(card => card.isMature && card.repetitions >= 3)
+            .map(card => ({
+                character: card.character,
+                mode: card.mode,
                 easeFactor: card.easeFactor,
                 accuracy: (card.correctCount / card.totalReviews) * 100,
                 totalReviews: card.totalReviews,
@@ -335,5 +754,5 @@ const stats = new Stats();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Stats, stats };
+    module.exports = { Stats, stats, FAST_RESPONSE_MS };
 }
@@ -1,30 +1,78 @@
 /**
- * Local Storage Wrapper
- * Handles persistence of user data across sessions
+ * Storage
+ * Handles persistence of user data across sessions through a storage adapter (see adapters.js)
  */
 
 const STORAGE_KEY = 'thai-script-master';
-const STORAGE_VERSION = 1;
+
+// Compaction keeps full detail for this many days of reviews
+const REVIEW_LOG_DETAIL_DAYS = 30;
 
 class Storage {
     constructor() {
-        this.storageAvailable = this.checkStorageAvailability();
+        this.key = STORAGE_KEY; // Namespace of the profile in use (see Profiles.getStorageKey)
+        this.profileName = null; // Used in export file names
+        this.adapter = null; // Set by init()
+        this.saved = null; // What the adapter holds, for incremental writes (null = unknown, write everything)
+        this.reviewLogRewritten = false; // Set when entries already saved were changed or removed
+        this.pending = Promise.resolve(true); // Queue of writes, resolving to whether the last one succeeded
+        this.writesSuspended = false;
+        this.loadError = null; // Why saved data couldn't be loaded, if it couldn't
+        this.onError = null; // (message) => void, set by the app to show storage problems
     }
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean}
+     * Pick the first available backend: IndexedDB, then localStorage, then memory.
+     * Data saved by older versions in localStorage is moved to IndexedDB once.
+     * @param {string} key - Storage namespace of the profile to use
+     * @param {string|null} profileName
      */
-    checkStorageAvailability() {
+    async init(key = STORAGE_KEY, profileName = null) {
+        this.key = key;
+        this.profileName = profileName;
+
+        const local = new LocalStorageAdapter(key);
+        const candidates = [new IndexedDBAdapter(key), local, new MemoryAdapter(key)];
+
+        for (const adapter of candidates) {
+            if (await adapter.open()) {
+                this.adapter = adapter;
+                break;
+            }
+        }
+
+        if (this.adapter.incremental && await local.open()) {
+            await this.moveFromLocalStorage(local);
+        }
+        console.log(`Using ${this.adapter.name} storage`);
+    }
+
+    /**
+     * Copy data from localStorage into the current adapter if it has none, then remove the old copy
+     * @param {LocalStorageAdapter} local
+     */
+    async moveFromLocalStorage(local) {
         try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
+            const data = await local.read();
+            if (!data || await this.adapter.read()) return;
+
+            this.saved = null;
+            await this.adapter.write(this.getChanges(data));
+            await local.clear();
+            console.log(`Moved saved data from localStorage to ${this.adapter.name}`);
         } catch (e) {
-            console.warn('localStorage is not available:', e);
-            return false;
+            console.error(`Could not move data to ${this.adapter.name}, staying on localStorage:`, e);
+            this.adapter = local;
         }
+        this.saved = null;
+    }
+
+    /**
+     * Check whether saved progress survives a reload
+     * @returns {boolean}
+     */
+    isPersistent() {
+        return Boolean(this.adapter?.persistent);
     }
 
     /**
@@ -42,6 +90,16 @@ class Storage {
             settings: {
                 currentLevel: 1,
                 unlockedLevels: [1],
+                levelOverrides: {}, // level number -> 'unlocked' | 'locked' (absent = by unlock criteria)
+                drillMode: 'roman',
+                scheduler: 'sm2', // Key in SCHEDULERS
+                dayStartHour: 4, // Reviews before this hour count towards the previous day
+                timezone: '', // IANA timezone for day boundaries ('' = browser timezone)
+                idleTimeoutSeconds: 60, // Study time stops counting after this long without input
+                confusionPairCount: 3,
+                confusionTargetStreak: 3,
+                romanizationScheme: 'rtgs', // Scheme shown in prompts and feedback
+                acceptedSchemes: ['rtgs'], // Schemes whose spellings count as correct
                 audioEnabled: false,
                 autoPlay: false,
                 volume: 80,
@@ -50,141 +108,407 @@ class Storage {
             },
             stats: {
                 sessionsCount: 0,
-                totalTimeSpent: 0, // milliseconds
-                dailyStats: {}, // date -> { reviews, correct, wrong, timeSpent }
+                totalTimeSpent: 0, // milliseconds of active study
+                timeByMode: {}, // drill mode -> milliseconds
+                dailyStats: {}, // date -> { reviews, correct, wrong, timeSpent, timeByMode }
                 confusionMatrix: {} // character -> { character -> count }
             },
+            reviewLog: [], // Append-only, one entry per review (see appendReview)
             session: {
                 startTime: null,
                 reviewsThisSession: 0,
                 correctThisSession: 0,
                 wrongThisSession: 0,
                 currentStreak: 0,
-                longestStreak: 0
+                longestStreak: 0,
+                timeSpent: 0 // Active milliseconds this session
             }
         };
     }
 
     /**
-     * Load data from localStorage
-     * @returns {object}
+     * Load data, starting incremental saves from what was read
+     * @returns {Promise<object>}
      */
-    load() {
-        if (!this.storageAvailable) {
-            return this.getDefaultData();
+    async load() {
+        const stored = await this.readStored();
+        const data = await this.upgrade(stored);
+        this.saved = null;
+        if (stored?.version === STORAGE_VERSION && this.adapter.incremental) {
+            this.saved = this.getSavedState(data);
         }
+        return data;
+    }
 
+    /**
+     * Read data as the adapter holds it
+     * @returns {Promise<object|null>}
+     */
+    async readStored() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) {
-                return this.getDefaultData();
-            }
+            return await this.adapter.read();
+        } catch (e) {
+            console.error(`Error loading data from ${this.adapter.name}:`, e);
+            return null;
+        }
+    }
 
-            const data = JSON.parse(stored);
+    /**
+     * Bring stored data up to date, backing it up first if it needs migrating
+     * If a migration step fails, the stored data is left as it was and saving is suspended,
+     * so a fixed version of the app can migrate it later.
+     * @param {object|null} stored
+     * @returns {Promise<object>}
+     */
+    async upgrade(stored) {
+        if (!stored) {
+            return this.getDefaultData();
+        }
 
-            // Check version and migrate if needed
-            if (data.version !== STORAGE_VERSION) {
-                return this.migrate(data);
+        if (stored.version !== STORAGE_VERSION) {
+            try {
+                await this.adapter.writeBackup(stored);
+            } catch (e) {
+                console.warn('Could not back up data before migrating:', e);
             }
+        }
 
-            return data;
+        try {
+            return this.migrate(stored);
         } catch (e) {
-            console.error('Error loading data from localStorage:', e);
+            console.error(e);
+            this.writesSuspended = true;
+            this.loadError = `${e.message}. Your saved progress has been left as it was; practice now won't be saved.`;
             return this.getDefaultData();
         }
     }
 
     /**
-     * Save data to localStorage
+     * Put the data backed up before the last migration back in place
+     * Saving is suspended afterwards; reload to migrate it again.
+     * @returns {Promise<boolean>} - Whether there was a backup to restore
+     */
+    async restoreBackup() {
+        const backup = await this.adapter.readBackup();
+        if (!backup) return false;
+
+        await this.flush();
+        this.saved = null;
+        await this.adapter.write(this.getChanges(backup));
+        this.writesSuspended = true;
+        return true;
+    }
+
+    /**
+     * Save data. The write happens in the background; use flush() to wait for it.
      * @param {object} data
-     * @returns {boolean} - Success status
+     * @returns {boolean} - Whether a write was queued
      */
     save(data) {
-        if (!this.storageAvailable) {
-            console.warn('Cannot save: localStorage not available');
+        if (!this.adapter || this.writesSuspended) {
             return false;
         }
 
+        let changes;
         try {
-            const jsonData = JSON.stringify(data);
-            localStorage.setItem(STORAGE_KEY, jsonData);
-            return true;
+            changes = this.getChanges(data);
+            const { softLimit } = this.adapter;
+            if (softLimit && changes.snapshot.length > softLimit && this.compactReviewLog(data)) {
+                changes = this.getChanges(data);
+            }
         } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                console.error('localStorage quota exceeded');
-                this.handleQuotaExceeded();
-            } else {
-                console.error('Error saving to localStorage:', e);
+            console.error('Error preparing data to save:', e);
+            return false;
+        }
+
+        this.pending = this.pending
+            .then(() => this.adapter.write(changes))
+            .then(() => true, e => this.handleWriteError(e, data));
+        return true;
+    }
+
+    /**
+     * Wait for queued writes
+     * @returns {Promise<boolean>} - Whether the last write succeeded
+     */
+    flush() {
+        return this.pending;
+    }
+
+    /**
+     * Work out what to write since the last save
+     * Incremental adapters get the settings/stats record if it changed, changed and removed
+     * cards, and reviews appended since; others get the whole data object as JSON.
+     * @param {object} data
+     * @returns {object} - See the adapter interface in adapters.js
+     */
+    getChanges(data) {
+        if (!this.adapter.incremental) {
+            return { snapshot: JSON.stringify(data) };
+        }
+
+        const previous = this.saved;
+        const state = this.getSavedState(data);
+        const reviewLog = data.reviewLog || [];
+        const rewriteReviews = !previous || this.reviewLogRewritten || reviewLog.length < previous.reviewCount;
+        const changes = {
+            full: !previous,
+            meta: !previous || state.meta !== previous.meta ? JSON.parse(state.meta) : null,
+            cards: {},
+            deletedCards: previous ? [...previous.cards.keys()].filter(key => !state.cards.has(key)) : [],
+            newReviews: rewriteReviews ? [] : JSON.parse(JSON.stringify(reviewLog.slice(previous.reviewCount))),
+            allReviews: rewriteReviews ? JSON.parse(JSON.stringify(reviewLog)) : null
+        };
+
+        state.cards.forEach((json, key) => {
+            if (!previous || previous.cards.get(key) !== json) {
+                changes.cards[key] = JSON.parse(json);
             }
+        });
+
+        this.saved = state;
+        this.reviewLogRewritten = false;
+        return changes;
+    }
+
+    /**
+     * Serialize data the way getChanges compares it
+     * @param {object} data
+     * @returns {object} - { meta, cards: Map of card key -> JSON, reviewCount }
+     */
+    getSavedState(data) {
+        const { reviewLog = [], deck = {}, ...rest } = data;
+        const { cards = {}, ...deckSettings } = deck;
+
+        return {
+            meta: JSON.stringify({ ...rest, deck: deckSettings }),
+            cards: new Map(Object.entries(cards).map(([key, card]) => [key, JSON.stringify(card)])),
+            reviewCount: reviewLog.length
+        };
+    }
+
+    /**
+     * Handle a failed write: make room and rewrite everything once if over quota
+     * @param {Error} error
+     * @param {object} data
+     * @returns {Promise<boolean>} - Whether the data ended up saved
+     */
+    async handleWriteError(error, data) {
+        // The adapter may hold part of the failed write; the next save rewrites everything
+        this.saved = null;
+
+        if (error?.name !== 'QuotaExceededError') {
+            console.error(`Error saving to ${this.adapter.name}:`, error);
             return false;
         }
+
+        console.error(`${this.adapter.name} quota exceeded`);
+        // Make room in the review log and try once more
+        if (this.compactReviewLog(data)) {
+            try {
+                await this.adapter.write(this.getChanges(data));
+                return true;
+            } catch (retryError) {
+                this.saved = null;
+                console.error('Still over quota after compacting the review log:', retryError);
+            }
+        }
+        this.handleQuotaExceeded();
+        return false;
     }
 
     /**
-     * Handle localStorage quota exceeded
+     * Handle storage quota exceeded
      */
     handleQuotaExceeded() {
-        alert('Storage limit reached. Consider exporting your data and clearing old sessions.');
-        // Could implement automatic cleanup of old session data here
+        this.reportError('Storage limit reached. Consider exporting your data and clearing old sessions.');
+    }
+
+    /**
+     * Tell the learner about a storage problem without interrupting practice
+     * @param {string} message
+     */
+    reportError(message) {
+        console.warn(message);
+        if (this.onError) {
+            this.onError(message);
+        }
     }
 
     /**
-     * Migrate data from older versions
-     * @param {object} oldData
+     * Migrate data from older versions through the steps in MIGRATIONS, then fill in
+     * settings and stats added since it was saved
+     * @param {object} oldData - Left unchanged
      * @returns {object}
+     * @throws {Error} - If a step fails
      */
     migrate(oldData) {
-        console.log(`Migrating data from version ${oldData.version} to ${STORAGE_VERSION}`);
-        // Future: implement migration logic for version changes
-        // For now, just merge with defaults
-        const defaultData = this.getDefaultData();
-        return { ...defaultData, ...oldData, version: STORAGE_VERSION };
+        if (oldData.version !== STORAGE_VERSION) {
+            console.log(`Migrating data from version ${oldData.version} to ${STORAGE_VERSION}`);
+        }
+        const environment = { timezone: StudyDay.getLocalTimezone() };
+        return Migrations.fillDefaults(Migrations.run(oldData, environment), this.getDefaultData());
     }
 
     /**
      * Export data as JSON string
-     * @returns {string}
+     * Data that can't be migrated is exported as it was saved.
+     * @returns {Promise<string>}
      */
-    exportData() {
-        const data = this.load();
+    async exportData() {
+        await this.flush();
+        let data = await this.readStored() || this.getDefaultData();
+        try {
+            data = this.migrate(data);
+        } catch (e) {
+            console.warn('Exporting data without migrating it:', e);
+        }
         return JSON.stringify(data, null, 2);
     }
 
     /**
-     * Import data from JSON string
+     * Parse, migrate and validate an exported file before importing it
      * @param {string} jsonString
-     * @returns {boolean} - Success status
+     * @returns {object} - { data, errors }; data is null unless errors is empty
      */
-    importData(jsonString) {
+    parseImport(jsonString) {
+        const kind = 'backup';
+        let data;
         try {
-            const data = JSON.parse(jsonString);
-
-            // Validate basic structure
-            if (!data.version || !data.deck || !data.settings) {
-                throw new Error('Invalid data format');
-            }
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            return { kind, data: null, errors: [`Not a valid JSON file: ${e.message}`] };
+        }
 
-            // Migrate if needed
-            const migratedData = data.version !== STORAGE_VERSION ? this.migrate(data) : data;
+        // Validate basic structure
+        if (!isPlainObject(data) || !data.version || !isPlainObject(data.deck) || !isPlainObject(data.settings)) {
+            return { kind, data: null, errors: ['Missing version, deck or settings; this doesn\'t look like an exported file'] };
+        }
 
-            return this.save(migratedData);
+        try {
+            data = this.migrate(data);
         } catch (e) {
             console.error('Error importing data:', e);
-            alert('Invalid data format. Please check the file and try again.');
-            return false;
+            return { kind, data: null, errors: [e.message] };
+        }
+
+        const errors = Importer.validate(data);
+        return { kind, data: errors.length === 0 ? data : null, errors };
+    }
+
+    /**
+     * Parse and validate a deck CSV before importing its scheduling state
+     * @param {string} csvText
+     * @returns {object} - { kind: 'cards', data: { deck: { cards } }, errors }; data is null unless errors is empty
+     */
+    parseCsvImport(csvText) {
+        const { cards, errors } = DeckFormats.parseCsv(csvText);
+        if (errors.length === 0 && Object.keys(cards).length === 0) {
+            errors.push('The file has no cards');
         }
+        return { kind: 'cards', data: errors.length === 0 ? { deck: { cards } } : null, errors };
+    }
+
+    /**
+     * Get the stored data once queued writes are done
+     * @returns {Promise<object>}
+     */
+    async getCurrentData() {
+        await this.flush();
+        return this.upgrade(await this.readStored());
+    }
+
+    /**
+     * Work out the data an import would leave
+     * @param {object} current
+     * @param {object} data - From parseImport or parseCsvImport
+     * @param {string} mode - 'replace' or 'merge' for backups, 'cards' to update just the cards in a CSV
+     * @returns {object}
+     */
+    getImportResult(current, data, mode) {
+        if (mode === 'cards') {
+            const cards = { ...current.deck.cards };
+            Object.entries(data.deck.cards).forEach(([key, card]) => {
+                // Rows for cards not in the deck yet fill in the rest from a new card
+                const existing = cards[key] || {
+                    ...new SM2Card(card.character, card.mode ?? DEFAULT_DRILL_MODE).toJSON(),
+                    scheduler: Schedulers.resolveId(current.settings.scheduler)
+                };
+                cards[key] = { ...existing, ...card };
+            });
+            return { ...current, deck: { ...current.deck, cards } };
+        }
+        return mode === 'merge' ? Importer.merge(current, data) : data;
+    }
+
+    /**
+     * Summarize what importing data would change
+     * @param {object} data - From parseImport or parseCsvImport
+     * @param {string} mode - See getImportResult
+     * @returns {Promise<object>} - See Importer.preview
+     */
+    async previewImport(data, mode) {
+        const current = await this.getCurrentData();
+        return Importer.preview(current, this.getImportResult(current, data, mode));
+    }
+
+    /**
+     * Import data, replacing what is stored, merging with it or updating cards
+     * Further saves are suspended so the page's old data can't overwrite the import before reloading.
+     * @param {object} data - From parseImport or parseCsvImport
+     * @param {string} mode - See getImportResult
+     * @returns {Promise<boolean>} - Success status
+     */
+    async importData(data, mode = 'replace') {
+        const result = this.getImportResult(await this.getCurrentData(), data, mode);
+
+        const wasSuspended = this.writesSuspended;
+        this.saved = null;
+        this.writesSuspended = false;
+        const success = this.save(result) && await this.flush();
+        this.writesSuspended = success || wasSuspended;
+        return success;
     }
 
     /**
      * Export data as downloadable file
      */
-    downloadExport() {
-        const data = this.exportData();
-        const blob = new Blob([data], { type: 'application/json' });
+    async downloadExport() {
+        this.downloadFile(await this.exportData(), 'backup', 'json', 'application/json');
+    }
+
+    /**
+     * Export the deck's cards as a CSV file
+     */
+    async downloadDeckCsv() {
+        const data = await this.getCurrentData();
+        this.downloadFile(DeckFormats.toCsv(data.deck.cards), 'deck', 'csv', 'text/csv');
+    }
+
+    /**
+     * Export the deck's characters as an Anki package
+     */
+    async downloadAnkiPackage() {
+        const data = await this.getCurrentData();
+        const content = await DeckFormats.toAnkiPackage(data.deck.cards);
+        this.downloadFile(content, 'anki', 'apkg', 'application/octet-stream');
+    }
+
+    /**
+     * Offer text or bytes as a download named thai-script-<profile>-<name>-<timestamp>.<extension>
+     * @param {string|Uint8Array} content
+     * @param {string} name
+     * @param {string} extension
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, name, extension, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `thai-script-backup-${timestamp}.json`;
+        // Profile names may be in Thai; keep whatever Latin letters and digits there are
+        const profile = (this.profileName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const filename = `thai-script-${profile ? `${profile}-` : ''}${name}-${timestamp}.${extension}`;
 
         const a = document.createElement('a');
         a.href = url;
@@ -197,38 +521,62 @@ class Storage {
 
     /**
      * Clear all data (reset progress)
-     * @returns {boolean}
+     * Further saves are suspended until the page reloads, as with importData.
+     * @returns {Promise<boolean>}
      */
-    clearAll() {
-        if (!this.storageAvailable) {
+    async clearAll() {
+        try {
+            await this.flush();
+            await this.adapter.clear();
+            this.saved = null;
+            this.writesSuspended = true;
+            return true;
+        } catch (e) {
+            console.error(`Error clearing ${this.adapter.name}:`, e);
             return false;
         }
+    }
 
+    /**
+     * Delete everything stored under this namespace, including any copy left in localStorage
+     * @returns {Promise<boolean>}
+     */
+    async destroy() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            await this.flush();
+            this.writesSuspended = true;
+            await this.adapter.destroy();
+
+            const local = new LocalStorageAdapter(this.key);
+            if (this.adapter.incremental && await local.open()) {
+                await local.destroy();
+            }
             return true;
         } catch (e) {
-            console.error('Error clearing localStorage:', e);
+            console.error(`Error deleting data from ${this.adapter.name}:`, e);
             return false;
         }
     }
 
     /**
-     * Get storage usage statistics
-     * @returns {object}
+     * Finish queued writes and release the backend, e.g. after exporting another profile
      */
-    getStorageStats() {
-        if (!this.storageAvailable) {
-            return { used: 0, total: 0, percentage: 0 };
-        }
+    async close() {
+        await this.flush();
+        this.adapter.close();
+    }
 
+    /**
+     * Get storage usage statistics
+     * @returns {Promise<object>}
+     */
+    async getStorageStats() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            const used = stored ? new Blob([stored]).size : 0;
-            const total = 5 * 1024 * 1024; // ~5MB typical localStorage limit
-            const percentage = (used / total) * 100;
+            const { used, total } = await this.adapter.estimate();
+            const percentage = total > 0 ? (used / total) * 100 : 0;
 
             return {
+                backend: this.adapter.name,
                 used,
                 total,
                 percentage: percentage.toFixed(2),
@@ -246,15 +594,16 @@ class Storage {
      * @param {string} shown - Character that was shown
      * @param {string} answered - Character user answered with
      * @param {object} data - Current data object
+     * @param {number} weight - How much this confusion counts (1 for an unambiguous mix-up)
      */
-    recordConfusion(shown, answered, data) {
+    recordConfusion(shown, answered, data, weight = 1) {
         if (!data.stats.confusionMatrix[shown]) {
             data.stats.confusionMatrix[shown] = {};
         }
         if (!data.stats.confusionMatrix[shown][answered]) {
             data.stats.confusionMatrix[shown][answered] = 0;
         }
-        data.stats.confusionMatrix[shown][answered]++;
+        data.stats.confusionMatrix[shown][answered] += weight;
     }
 
     /**
@@ -278,29 +627,163 @@ class Storage {
         return pairs.sort((a, b) => b.count - a.count);
     }
 
+    /**
+     * Reduce a recorded confusion after the learner tells the pair apart
+     * @param {string} shown
+     * @param {string} answered
+     * @param {object} data
+     * @param {number} amount
+     */
+    relieveConfusion(shown, answered, data, amount) {
+        const confusions = data.stats.confusionMatrix[shown];
+        if (!confusions || !confusions[answered]) return;
+
+        confusions[answered] = Math.max(0, confusions[answered] - amount);
+        if (confusions[answered] === 0) {
+            delete confusions[answered];
+        }
+    }
+
+    /**
+     * Get what a character has been mistaken for, most frequent first
+     * @param {object} data
+     * @param {string} character - Character that was shown
+     * @returns {array} - [{ character, count }]
+     */
+    getConfusionsFor(data, character) {
+        const confusions = data.stats.confusionMatrix[character] || {};
+        return Object.entries(confusions)
+            .map(([answered, count]) => ({ character: answered, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Append a review to the log
+     * @param {object} data
+     * @param {object} entry
+     * @param {number} entry.timestamp
+     * @param {string} entry.character
+     * @param {string} entry.mode - Drill mode of the card reviewed
+     * @param {string} entry.answer - What the learner typed or picked
+     * @param {boolean} entry.correct
+     * @param {number} entry.responseTime - Milliseconds
+     * @param {number} entry.quality - Grade passed to the scheduler (0-5)
+     * @param {object} entry.before - { interval, easeFactor } before the review
+     * @param {object} entry.after - { interval, easeFactor } after the review
+     */
+    appendReview(data, entry) {
+        if (!data.reviewLog) {
+            data.reviewLog = [];
+        }
+        data.reviewLog.push(entry);
+    }
+
+    /**
+     * Query the review log, oldest first
+     * @param {object} data
+     * @param {object} filters
+     * @param {number} filters.from - Earliest timestamp (inclusive)
+     * @param {number} filters.to - Latest timestamp (exclusive)
+     * @param {string} filters.character
+     * @param {string} filters.mode
+     * @returns {object[]}
+     */
+    getReviews(data, { from = 0, to = Infinity, character = null, mode = null } = {}) {
+        return (data.reviewLog || []).filter(entry =>
+            entry.timestamp >= from &&
+            entry.timestamp < to &&
+            (!character || entry.character === character) &&
+            (!mode || entry.mode === mode)
+        );
+    }
+
+    /**
+     * Shrink the review log to free storage
+     * Strips the typed answer and interval/ease snapshots from entries older than
+     * REVIEW_LOG_DETAIL_DAYS, or from every entry if the older ones are already stripped.
+     * Entries are never dropped, so the log keeps every review.
+     * @param {object} data
+     * @returns {boolean} - Whether anything was stripped
+     */
+    compactReviewLog(data) {
+        const cutoff = Date.now() - REVIEW_LOG_DETAIL_DAYS * 24 * 60 * 60 * 1000;
+        const detailed = (data.reviewLog || []).filter(entry => !entry.compacted);
+        const old = detailed.filter(entry => entry.timestamp < cutoff);
+        // Keep recent detail unless there is nothing older left to strip
+        const stripped = old.length > 0 ? old : detailed;
+
+        stripped.forEach(entry => {
+            delete entry.answer;
+            delete entry.before;
+            delete entry.after;
+            entry.compacted = true;
+        });
+
+        if (stripped.length > 0) {
+            this.reviewLogRewritten = true;
+            console.warn(`Review log compacted: stripped detail from ${stripped.length} entries`);
+        }
+        return stripped.length > 0;
+    }
+
     /**
      * Record daily statistics
      * @param {object} data
      * @param {boolean} correct
+     * @param {number} timestamp - When the review happened
      */
-    recordDailyStats(data, correct) {
-        const today = new Date().toISOString().split('T')[0];
+    recordDailyStats(data, correct, timestamp = Date.now()) {
+        const dayStats = this.getDayStats(data, StudyDay.getKey(timestamp, StudyDay.getOptions(data.settings)));
+
+        dayStats.reviews++;
+        if (correct) {
+            dayStats.correct++;
+        } else {
+            dayStats.wrong++;
+        }
+    }
 
-        if (!data.stats.dailyStats[today]) {
-            data.stats.dailyStats[today] = {
+    /**
+     * Get a day's statistics, creating an empty entry if needed
+     * @param {object} data
+     * @param {string} day - Key from StudyDay.getKey
+     * @returns {object}
+     */
+    getDayStats(data, day) {
+        if (!data.stats.dailyStats[day]) {
+            data.stats.dailyStats[day] = {
                 reviews: 0,
                 correct: 0,
                 wrong: 0,
-                timeSpent: 0
+                timeSpent: 0,
+                timeByMode: {}
             };
         }
+        return data.stats.dailyStats[day];
+    }
 
-        data.stats.dailyStats[today].reviews++;
-        if (correct) {
-            data.stats.dailyStats[today].correct++;
-        } else {
-            data.stats.dailyStats[today].wrong++;
-        }
+    /**
+     * Add active study time to the totals, the day and the drill mode
+     * @param {object} data
+     * @param {number} milliseconds
+     * @param {string} mode - Drill mode (or session type) the time was spent in
+     * @param {number} timestamp
+     */
+    recordStudyTime(data, milliseconds, mode, timestamp = Date.now()) {
+        const dayStats = this.getDayStats(data, StudyDay.getKey(timestamp, StudyDay.getOptions(data.settings)));
+        const addTo = (times, amount) => {
+            times[mode] = (times[mode] || 0) + amount;
+        };
+
+        data.stats.totalTimeSpent = (data.stats.totalTimeSpent || 0) + milliseconds;
+        data.stats.timeByMode = data.stats.timeByMode || {};
+        addTo(data.stats.timeByMode, milliseconds);
+
+        dayStats.timeSpent = (dayStats.timeSpent || 0) + milliseconds;
+        dayStats.timeByMode = dayStats.timeByMode || {};
+        addTo(dayStats.timeByMode, milliseconds);
+
+        data.session.timeSpent = (data.session.timeSpent || 0) + milliseconds;
     }
 
     /**
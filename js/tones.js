@@ -0,0 +1,261 @@
+/**
+ * Tone Rules
+ * Derives the tone of a Thai syllable from consonant class, live/dead syllable and tone mark
+ */
+
+// The five Thai tones, in the order used for answer keys 1-5
+const TONES = {
+    mid: { label: 'Mid', thaiName: 'สามัญ', contour: '→' },
+    low: { label: 'Low', thaiName: 'เอก', contour: '↘' },
+    falling: { label: 'Falling', thaiName: 'โท', contour: '↗↘' },
+    high: { label: 'High', thaiName: 'ตรี', contour: '↗' },
+    rising: { label: 'Rising', thaiName: 'จัตวา', contour: '↘↗' }
+};
+
+const TONE_ORDER = ['mid', 'low', 'falling', 'high', 'rising'];
+
+// Tone marks and the tone each produces per consonant class
+// Mai tri and mai chattawa are only written on mid-class consonants
+const TONE_MARKS = {
+    '่': {
+        name: 'mai ek',
+        tones: { mid: 'low', high: 'low', low: 'falling' }
+    },
+    '้': {
+        name: 'mai tho',
+        tones: { mid: 'falling', high: 'falling', low: 'high' }
+    },
+    '๊': {
+        name: 'mai tri',
+        tones: { mid: 'high' }
+    },
+    '๋': {
+        name: 'mai chattawa',
+        tones: { mid: 'rising' }
+    }
+};
+
+// Finals pronounced m, n, ng, y or w keep a syllable live; every other final is a stop
+const SONORANT_FINALS = ['ง', 'ญ', 'ณ', 'น', 'ร', 'ล', 'ฬ', 'ม', 'ย', 'ว'];
+
+// Special vowels with a built-in sonorant ending (am, ai, ao) are always live
+const LIVE_SPECIAL_VOWELS = ['◌ำ', 'ใ◌', 'ไ◌', 'เ◌า'];
+
+// Vowel signs written above or below the consonant; a tone mark sits on top of them
+const STACKING_VOWEL_SIGNS = ['ั', 'ิ', 'ี', 'ึ', 'ื', 'ุ', 'ู', '็'];
+
+// Drill syllables: a few initials per class, each paired with a vowel set
+const TONE_DRILL_INITIALS = ['ก', 'ป', 'ข', 'ส', 'ค', 'น'];
+const TONE_DRILL_VOWEL_SETS = [
+    { long: '◌า', short: '◌ะ', closed: '◌ั◌' },
+    { long: '◌ี', short: '◌ิ', closed: '◌ิ' }
+];
+
+let toneDrillCache = null;
+
+const ToneRules = {
+    /**
+     * Get display info for a tone
+     */
+    getToneInfo(tone) {
+        return TONES[tone];
+    },
+
+    /**
+     * Get all tones in answer-key order
+     */
+    getAllTones() {
+        return TONE_ORDER;
+    },
+
+    /**
+     * Get info for a tone mark
+     */
+    getToneMarkInfo(mark) {
+        return TONE_MARKS[mark];
+    },
+
+    /**
+     * Write out a syllable from its parts
+     * @param {string} initial - Initial consonant
+     * @param {string} vowel - Vowel key from THAI_VOWELS (◌ marks the consonant slot)
+     * @param {string} toneMark - Optional tone mark
+     * @param {string} final - Optional final consonant
+     * @returns {string}
+     */
+    composeSyllable(initial, vowel, toneMark = '', final = '') {
+        const slot = vowel.indexOf(VOWEL_PLACEHOLDER);
+        const before = vowel.slice(0, slot);
+        const after = vowel.slice(slot + 1);
+
+        // Tone mark goes after any stacked vowel sign, before trailing vowel letters
+        let stacked = 0;
+        while (stacked < after.length && STACKING_VOWEL_SIGNS.includes(after[stacked])) {
+            stacked++;
+        }
+
+        let syllable = before + initial + after.slice(0, stacked) + toneMark + after.slice(stacked);
+
+        // Forms like ◌ั◌ reserve a slot for the final; otherwise the final goes last
+        if (syllable.includes(VOWEL_PLACEHOLDER)) {
+            syllable = syllable.replace(VOWEL_PLACEHOLDER, final);
+        } else {
+            syllable += final;
+        }
+
+        return syllable;
+    },
+
+    /**
+     * Check whether a syllable is live (long vowel or sonorant ending)
+     * @param {string} vowel - Vowel key
+     * @param {string} final - Final consonant, if any
+     * @returns {boolean}
+     */
+    isLiveSyllable(vowel, final = '') {
+        if (final) {
+            return SONORANT_FINALS.includes(final);
+        }
+        if (LIVE_SPECIAL_VOWELS.includes(vowel)) {
+            return true;
+        }
+        return ThaiData.getCharacterData(vowel)?.length === 'long';
+    },
+
+    /**
+     * Apply the tone rules
+     * @param {string} consonantClass - 'mid', 'high' or 'low'
+     * @param {boolean} live - Live syllable
+     * @param {string} vowelLength - 'short' or 'long'
+     * @param {string} toneMark - Tone mark, if any
+     * @returns {string|null} - Tone name, or null for an invalid combination
+     */
+    getTone(consonantClass, live, vowelLength, toneMark = '') {
+        if (toneMark) {
+            return TONE_MARKS[toneMark]?.tones[consonantClass] || null;
+        }
+        if (live) {
+            return consonantClass === 'high' ? 'rising' : 'mid';
+        }
+        if (consonantClass === 'low') {
+            return vowelLength === 'long' ? 'falling' : 'high';
+        }
+        return 'low';
+    },
+
+    /**
+     * Work out everything needed to name and explain a syllable's tone
+     * @param {object} parts - { initial, vowel, toneMark, final }
+     * @returns {object}
+     */
+    analyzeSyllable({ initial, vowel, toneMark = '', final = '' }) {
+        const consonantClass = ThaiData.getCharacterData(initial)?.class;
+        const vowelLength = ThaiData.getCharacterData(vowel)?.length;
+        const live = this.isLiveSyllable(vowel, final);
+
+        return {
+            text: this.composeSyllable(initial, vowel, toneMark, final),
+            initial,
+            vowel,
+            toneMark,
+            final,
+            consonantClass,
+            vowelLength,
+            live,
+            tone: this.getTone(consonantClass, live, vowelLength, toneMark)
+        };
+    },
+
+    /**
+     * Explain how a syllable's tone is derived, one rule per step
+     * @param {object} analysis - Result of analyzeSyllable
+     * @returns {string[]}
+     */
+    explainTone(analysis) {
+        const steps = [];
+        const initialName = ThaiData.getCharacterData(analysis.initial)?.name || analysis.initial;
+
+        steps.push(`${analysis.initial} (${initialName}) is a ${analysis.consonantClass}-class consonant.`);
+
+        if (analysis.final) {
+            const ending = SONORANT_FINALS.includes(analysis.final) ? 'a sonorant (m, n, ng, y, w)' : 'a stop (k, p, t)';
+            steps.push(`It ends in ${analysis.final}, ${ending}, so the syllable is ${analysis.live ? 'live' : 'dead'}.`);
+        } else if (LIVE_SPECIAL_VOWELS.includes(analysis.vowel)) {
+            steps.push('The vowel carries its own sonorant ending, so the syllable is live.');
+        } else {
+            steps.push(`It ends in a ${analysis.vowelLength} vowel, so the syllable is ${analysis.live ? 'live' : 'dead'}.`);
+        }
+
+        if (analysis.toneMark) {
+            const mark = TONE_MARKS[analysis.toneMark];
+            steps.push(`${mark.name} (${analysis.toneMark}) on a ${analysis.consonantClass}-class consonant gives the ${analysis.tone} tone.`);
+        } else if (analysis.live) {
+            steps.push(`No tone mark: live ${analysis.consonantClass}-class syllables take the ${analysis.tone} tone.`);
+        } else if (analysis.consonantClass === 'low') {
+            steps.push(`No tone mark: dead low-class syllables with a ${analysis.vowelLength} vowel take the ${analysis.tone} tone.`);
+        } else {
+            steps.push(`No tone mark: dead ${analysis.consonantClass}-class syllables take the ${analysis.tone} tone.`);
+        }
+
+        return steps;
+    },
+
+    /**
+     * Get the syllables used by the tone drill
+     * Covers live/dead, short/long and every valid tone mark for each class
+     * @returns {object[]} - Analyses, each with a unique text
+     */
+    getDrillSyllables() {
+        if (toneDrillCache) return toneDrillCache;
+
+        const syllables = [];
+        TONE_DRILL_INITIALS.forEach((initial, index) => {
+            const vowels = TONE_DRILL_VOWEL_SETS[index % TONE_DRILL_VOWEL_SETS.length];
+            const consonantClass = ThaiData.getCharacterData(initial).class;
+
+            // Live open syllable with each tone mark this class can take
+            syllables.push(this.analyzeSyllable({ initial, vowel: vowels.long }));
+            Object.entries(TONE_MARKS).forEach(([mark, info]) => {
+                if (info.tones[consonantClass]) {
+                    syllables.push(this.analyzeSyllable({ initial, vowel: vowels.long, toneMark: mark }));
+                }
+            });
+
+            syllables.push(this.analyzeSyllable({ initial, vowel: vowels.closed, final: 'น' })); // live, short
+            syllables.push(this.analyzeSyllable({ initial, vowel: vowels.short })); // dead, short open
+            syllables.push(this.analyzeSyllable({ initial, vowel: vowels.closed, final: 'ก' })); // dead, short
+            syllables.push(this.analyzeSyllable({ initial, vowel: vowels.long, final: 'ก' })); // dead, long
+        });
+
+        toneDrillCache = syllables;
+        return syllables;
+    },
+
+    /**
+     * Look up a drill syllable by its written form
+     * @param {string} text
+     * @returns {object|undefined}
+     */
+    getDrillSyllable(text) {
+        return this.getDrillSyllables().find(s => s.text === text);
+    },
+
+    /**
+     * Turn a typed or keyed answer into a tone name
+     * @param {string} input - '1'-'5' or a tone name
+     * @returns {string|null}
+     */
+    parseToneAnswer(input) {
+        const answer = (input || '').trim().toLowerCase();
+        const keyIndex = parseInt(answer, 10);
+        if (keyIndex >= 1 && keyIndex <= TONE_ORDER.length) {
+            return TONE_ORDER[keyIndex - 1];
+        }
+        return TONE_ORDER.includes(answer) ? answer : null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TONES, TONE_MARKS, ToneRules };
+}
@@ -3,6 +3,9 @@
  * Handles all DOM manipulation and UI updates
  */
 
+// Longest list of validation problems shown for an import file
+const IMPORT_ERRORS_SHOWN = 20;
+
 class UI {
     constructor() {
         // Cache DOM elements
@@ -10,8 +13,10 @@ class UI {
             thaiChar: document.getElementById('thaiChar'),
             charHint: document.getElementById('charHint'),
             charDisplay: document.querySelector('.character-display'),
+            inputArea: document.querySelector('.input-area'),
             romanInput: document.getElementById('romanInput'),
             submitBtn: document.getElementById('submitBtn'),
+            choiceArea: document.getElementById('choiceArea'),
             feedbackArea: document.getElementById('feedbackArea'),
             feedbackMsg: document.getElementById('feedbackMsg'),
             educationalPanel: document.getElementById('educationalPanel'),
@@ -23,6 +28,7 @@ class UI {
             streakValue: document.getElementById('streakValue'),
             dueValue: document.getElementById('dueValue'),
             learnedValue: document.getElementById('learnedValue'),
+            timeTodayValue: document.getElementById('timeTodayValue'),
             progressBar: document.getElementById('progressBar'),
 
             // Modals
@@ -33,21 +39,163 @@ class UI {
             closeHelp: document.getElementById('closeHelp'),
 
             // Settings inputs
+            drillMode: document.getElementById('drillMode'),
+            levelList: document.getElementById('levelList'),
+            scheduler: document.getElementById('scheduler'),
+            compareSchedulers: document.getElementById('compareSchedulers'),
+            schedulerComparison: document.getElementById('schedulerComparison'),
+            romanizationScheme: document.getElementById('romanizationScheme'),
+            acceptedSchemes: document.getElementById('acceptedSchemes'),
+            confusionPairCount: document.getElementById('confusionPairCount'),
+            confusionTargetStreak: document.getElementById('confusionTargetStreak'),
+            startConfusionDrill: document.getElementById('startConfusionDrill'),
             newCardsPerDay: document.getElementById('newCardsPerDay'),
+            maxReviewsPerSession: document.getElementById('maxReviewsPerSession'),
+            learningSteps: document.getElementById('learningSteps'),
+            relearningSteps: document.getElementById('relearningSteps'),
+            dayStartHour: document.getElementById('dayStartHour'),
+            idleTimeoutSeconds: document.getElementById('idleTimeoutSeconds'),
+            timezone: document.getElementById('timezone'),
+            profileSelect: document.getElementById('profileSelect'),
+            profileList: document.getElementById('profileList'),
+            newProfileName: document.getElementById('newProfileName'),
+            createProfile: document.getElementById('createProfile'),
+            profileError: document.getElementById('profileError'),
             exportData: document.getElementById('exportData'),
+            exportCsv: document.getElementById('exportCsv'),
+            exportAnki: document.getElementById('exportAnki'),
             importData: document.getElementById('importData'),
+            importPanel: document.getElementById('importPanel'),
+            importSummary: document.getElementById('importSummary'),
+            importList: document.getElementById('importList'),
+            importModeLabel: document.getElementById('importModeLabel'),
+            importMode: document.getElementById('importMode'),
+            confirmImport: document.getElementById('confirmImport'),
+            cancelImport: document.getElementById('cancelImport'),
             resetProgress: document.getElementById('resetProgress')
         };
+
+        // Choices currently offered as buttons (null when the mode takes typed answers only)
+        this.currentChoices = null;
+
+        // Checked import file waiting for the learner to confirm
+        this.pendingImport = null;
+
+        // 'latin' for romanization, 'thai' to map keystrokes through the Kedmanee layout
+        this.inputLayout = 'latin';
+    }
+
+    /**
+     * Display the prompt for the current card
+     * @param {object} prompt - { text, hint } from the drill mode
+     */
+    displayPrompt(prompt) {
+        this.elements.thaiChar.textContent = prompt.text;
+        this.elements.thaiChar.className = prompt.style === 'roman' ? 'thai-character roman-prompt' : 'thai-character'; // Reset classes
+        this.elements.charHint.textContent = prompt.hint || '';
+    }
+
+    /**
+     * Show answer choice buttons, or hide them when the mode has none
+     * @param {object[]|null} choices - [{ value, label, key }]
+     * @param {function} onSelect - Called with the chosen value
+     */
+    showChoices(choices, onSelect) {
+        const area = this.elements.choiceArea;
+        this.currentChoices = choices;
+        this.onChoiceSelect = onSelect;
+
+        if (!choices || choices.length === 0) {
+            this.hideChoices();
+            return;
+        }
+
+        area.innerHTML = choices.map(choice => `
+            <button class="choice-button${choice.glyph ? ' choice-glyph' : ''}" data-value="${choice.value}">
+                ${choice.key ? `<kbd>${choice.key}</kbd>` : ''} ${choice.label}
+            </button>
+        `).join('');
+
+        area.querySelectorAll('.choice-button').forEach(button => {
+            button.addEventListener('click', () => onSelect(button.getAttribute('data-value')));
+        });
+
+        area.style.display = 'flex';
+    }
+
+    /**
+     * Hide answer choice buttons
+     */
+    hideChoices() {
+        this.currentChoices = null;
+        this.elements.choiceArea.innerHTML = '';
+        this.elements.choiceArea.style.display = 'none';
+    }
+
+    /**
+     * Pick a choice by its shortcut key
+     * @param {string} key
+     * @returns {boolean} - Whether a choice matched
+     */
+    selectChoiceByKey(key) {
+        const choice = this.currentChoices?.find(c => c.key === key);
+        if (!choice || !this.onChoiceSelect) return false;
+        this.onChoiceSelect(choice.value);
+        return true;
+    }
+
+    /**
+     * Enable or disable the choice buttons
+     * @param {boolean} disabled
+     */
+    setChoicesDisabled(disabled) {
+        this.elements.choiceArea.querySelectorAll('.choice-button').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    /**
+     * Switch the answer input between romanization and Thai typing
+     * @param {string} layout - 'latin' or 'thai'
+     */
+    setInputLayout(layout = 'latin') {
+        const input = this.elements.romanInput;
+        this.inputLayout = layout;
+
+        if (layout === 'thai') {
+            input.placeholder = 'Type the Thai character...';
+            input.setAttribute('lang', 'th');
+        } else {
+            input.placeholder = 'Type romanization...';
+            input.setAttribute('lang', 'en');
+        }
+    }
+
+    /**
+     * Show or hide the typed-answer input (hidden for choice-only modes)
+     * @param {boolean} visible
+     */
+    setTextInputVisible(visible) {
+        this.elements.inputArea.style.display = visible ? '' : 'none';
     }
 
     /**
-     * Display Thai character
-     * @param {string} character
+     * Insert the Kedmanee character for a Latin keystroke into the answer input
+     * Lets learners without a Thai keyboard installed type Thai
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - Whether the keystroke was mapped
      */
-    displayCharacter(character) {
-        this.elements.thaiChar.textContent = character;
-        this.elements.thaiChar.className = 'thai-character'; // Reset classes
-        this.elements.charHint.textContent = '';
+    mapThaiKeystroke(e) {
+        if (this.inputLayout !== 'thai' || e.ctrlKey || e.metaKey || e.altKey) return false;
+
+        const thaiChar = ThaiData.mapKeyToThai(e.key);
+        if (!thaiChar) return false;
+
+        e.preventDefault();
+        const input = this.elements.romanInput;
+        input.setRangeText(thaiChar, input.selectionStart, input.selectionEnd, 'end');
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
     }
 
     /**
@@ -78,6 +226,7 @@ class UI {
     disableInput() {
         this.elements.romanInput.disabled = true;
         this.elements.submitBtn.disabled = true;
+        this.setChoicesDisabled(true);
     }
 
     /**
@@ -86,6 +235,7 @@ class UI {
     enableInput() {
         this.elements.romanInput.disabled = false;
         this.elements.submitBtn.disabled = false;
+        this.setChoicesDisabled(false);
     }
 
     /**
@@ -123,9 +273,9 @@ class UI {
     /**
      * Validate input in real-time and provide visual feedback
      * @param {string} userInput - Current input
-     * @param {string} correctAnswer - Correct romanization
+     * @param {string[]} acceptedAnswers - Every accepted spelling
      */
-    validateInputRealTime(userInput, correctAnswer) {
+    validateInputRealTime(userInput, acceptedAnswers) {
         const input = this.elements.romanInput;
 
         if (!userInput) {
@@ -134,10 +284,10 @@ class UI {
             return;
         }
 
-        // Check if user input is a valid prefix of correct answer
-        if (correctAnswer.startsWith(userInput)) {
+        // Check if user input is a valid prefix of any accepted spelling
+        if (acceptedAnswers.some(answer => answer.startsWith(userInput))) {
             // On the right track
-            if (userInput === correctAnswer) {
+            if (acceptedAnswers.includes(userInput)) {
                 input.className = 'roman-input input-correct';
             } else {
                 input.className = 'roman-input input-partial';
@@ -176,11 +326,26 @@ class UI {
      * Show comprehensive educational panel with tabs
      * @param {string} character - The Thai character
      * @param {string} userAnswer - What the user typed (wrong answer)
+     * @param {object} options
+     * @param {string} options.retypeAnswer - What to re-type to continue (defaults to the romanization)
+     * @param {object[]} options.learnerConfusions - [{ character, count }] from the learner's own mistakes
+     * @param {string} options.scheme - Romanization scheme to show spellings in
+     * @param {string} options.position - 'final' when the drill asked for the sound at the end of a syllable
      */
-    showEducationalPanel(character, userAnswer) {
+    showEducationalPanel(character, userAnswer, {
+        retypeAnswer = null,
+        learnerConfusions = [],
+        scheme = DEFAULT_ROMANIZATION_SCHEME,
+        position = 'initial'
+    } = {}) {
         const data = ThaiData.getCharacterData(character);
         if (!data) return;
 
+        const isFinal = position === 'final';
+        const roman = isFinal ? ThaiData.getFinalRomanization(character) : ThaiData.getRomanization(character, scheme);
+        const retype = retypeAnswer || roman;
+        const label = (char, charData) => `${ThaiData.getRomanization(char, scheme)} (${charData.name})`;
+
         const panel = this.elements.educationalPanel;
 
         // Build comparison characters HTML
@@ -192,8 +357,8 @@ class UI {
             // Show current character
             comparisonHTML += `
                 <div class="comparison-item">
-                    <div class="comparison-char">${character}</div>
-                    <div class="comparison-label">${data.roman} (${data.name})</div>
+                    <div class="comparison-char">${ThaiData.getDisplayForm(character)}</div>
+                    <div class="comparison-label">${label(character, data)}</div>
                 </div>
             `;
             // Show confused characters
@@ -202,8 +367,8 @@ class UI {
                 if (confusedData) {
                     comparisonHTML += `
                         <div class="comparison-item">
-                            <div class="comparison-char">${confusedChar}</div>
-                            <div class="comparison-label">${confusedData.roman} (${confusedData.name})</div>
+                            <div class="comparison-char">${ThaiData.getDisplayForm(confusedChar)}</div>
+                            <div class="comparison-label">${label(confusedChar, confusedData)}</div>
                         </div>
                     `;
                 }
@@ -213,6 +378,27 @@ class UI {
             comparisonHTML = '<p class="edu-text">This character has no common confusion pairs.</p>';
         }
 
+        // Build learner's own confusions HTML
+        let learnerConfusionsHTML = '';
+        if (learnerConfusions.length > 0) {
+            learnerConfusionsHTML = '<div class="char-comparison">';
+            learnerConfusions.forEach(({ character: confusedChar, count }) => {
+                const confusedData = ThaiData.getCharacterData(confusedChar);
+                if (confusedData) {
+                    learnerConfusionsHTML += `
+                        <div class="comparison-item">
+                            <div class="comparison-char">${ThaiData.getDisplayForm(confusedChar)}</div>
+                            <div class="comparison-label">${label(confusedChar, confusedData)}</div>
+                            <div class="comparison-count">× ${Math.round(count * 10) / 10}</div>
+                        </div>
+                    `;
+                }
+            });
+            learnerConfusionsHTML += '</div>';
+        } else {
+            learnerConfusionsHTML = '<p class="edu-text">No confusions recorded for this character yet.</p>';
+        }
+
         // Build visual features HTML
         const features = data.visualFeatures || [];
         let featuresHTML = '';
@@ -226,13 +412,32 @@ class UI {
             featuresHTML = '<p class="edu-text">No specific visual features noted.</p>';
         }
 
+        // Explain the final sound whenever it was asked for or differs from the initial one
+        const finalRoman = ThaiData.getFinalRomanization(character);
+        const finalRuleHTML = isFinal || (finalRoman && finalRoman !== data.roman)
+            ? `<p class="edu-text final-rule">${ThaiData.explainFinalSound(character)}</p>`
+            : '';
+
+        // Build the same sound spelled in every scheme, chosen scheme first
+        const schemes = ThaiData.getRomanizationSchemes();
+        const spellingsHTML = [
+            ...schemes.filter(s => s.id === scheme),
+            ...schemes.filter(s => s.id !== scheme)
+        ].map(s => `
+            <li${s.id === scheme ? ' class="scheme-active"' : ''}>
+                <span class="scheme-name">${s.name}</span>
+                <span class="scheme-spelling">${ThaiData.getRomanizations(character, s.id).join(' / ')}</span>
+            </li>
+        `).join('');
+
         // Build tabbed panel HTML
         panel.innerHTML = `
             <!-- Panel Header -->
             <div class="edu-panel-header">
                 <div class="edu-title">❌ Let's Learn This Character!</div>
-                <div class="edu-answer-display">${data.roman}</div>
-                <div class="edu-char-name">${character} (${data.name})</div>
+                <div class="edu-answer-display">${roman}</div>
+                <div class="edu-scheme-name">${isFinal ? 'Final sound' : ThaiData.getSchemeInfo(scheme).name}</div>
+                <div class="edu-char-name">${ThaiData.getDisplayForm(character)} (${data.name})</div>
             </div>
 
             <!-- Tabs -->
@@ -245,8 +450,10 @@ class UI {
 
             <!-- Tab: Why -->
             <div class="edu-tab-content active" data-content="why">
-                <h3 style="margin-bottom: 1rem; color: var(--primary-color);">Why "${data.roman}"?</h3>
+                <h3 style="margin-bottom: 1rem; color: var(--primary-color);">Why "${roman}"?</h3>
                 <p class="edu-text">${data.explanation}</p>
+                ${finalRuleHTML}
+                ${isFinal ? '' : `<ul class="scheme-spellings">${spellingsHTML}</ul>`}
                 <button class="audio-button" onclick="ui.playAudio('${character}', '${data.roman}')">
                     🔊 Play Pronunciation
                 </button>
@@ -268,16 +475,18 @@ class UI {
             <div class="edu-tab-content" data-content="comparison">
                 <h3 style="margin-bottom: 1rem; color: var(--error-color);">Don't Confuse With</h3>
                 ${comparisonHTML}
+                <h3 style="margin: 1.5rem 0 1rem; color: var(--warning-color);">Your Confusions</h3>
+                ${learnerConfusionsHTML}
             </div>
 
             <!-- Sticky Re-Type Footer -->
             <div class="retype-container">
-                <div class="retype-label">✏️  Type "${data.roman}" to continue:</div>
+                <div class="retype-label">✏️  Type "${retype}" to continue:</div>
                 <input
                     type="text"
                     class="retype-input"
                     id="retypeInput"
-                    placeholder="Type ${data.roman}..."
+                    placeholder="Type ${retype}..."
                     autocomplete="off"
                     autocapitalize="off"
                     spellcheck="false"
@@ -296,7 +505,134 @@ class UI {
             const retypeInput = document.getElementById('retypeInput');
             if (retypeInput) {
                 retypeInput.focus();
-                this.setupRetypeValidation(retypeInput, data.roman);
+                this.setupRetypeValidation(retypeInput, retype);
+            }
+        }, 100);
+    }
+
+    /**
+     * Show the tone rule breakdown for a syllable the learner got wrong
+     * @param {object} analysis - Result of ToneRules.analyzeSyllable
+     */
+    showToneRulePanel(analysis) {
+        if (!analysis) return;
+
+        const panel = this.elements.educationalPanel;
+        const toneInfo = ToneRules.getToneInfo(analysis.tone);
+        const steps = ToneRules.explainTone(analysis);
+
+        const ruleRows = ['mid', 'high', 'low'].map(consonantClass => `
+            <tr${consonantClass === analysis.consonantClass ? ' class="tone-rule-active"' : ''}>
+                <td>${consonantClass}</td>
+                <td>${ToneRules.getTone(consonantClass, true, 'long')}</td>
+                <td>${ToneRules.getTone(consonantClass, false, 'short')}</td>
+                <td>${ToneRules.getTone(consonantClass, false, 'long')}</td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            <!-- Panel Header -->
+            <div class="edu-panel-header">
+                <div class="edu-title">❌ Let's Work Out This Tone!</div>
+                <div class="edu-answer-display">${toneInfo.label} ${toneInfo.contour}</div>
+                <div class="edu-char-name">${analysis.text} (${toneInfo.thaiName})</div>
+            </div>
+
+            <div class="edu-tab-content active">
+                <h3 style="margin-bottom: 1rem; color: var(--primary-color);">Step by step</h3>
+                <ol class="tone-steps">
+                    ${steps.map(step => `<li>${step}</li>`).join('')}
+                </ol>
+
+                <h3 style="margin: 1.5rem 0 1rem; color: var(--warning-color);">Without a tone mark</h3>
+                <table class="tone-rule-table">
+                    <thead>
+                        <tr><th>Class</th><th>Live</th><th>Dead short</th><th>Dead long</th></tr>
+                    </thead>
+                    <tbody>${ruleRows}</tbody>
+                </table>
+            </div>
+
+            <!-- Sticky Re-Type Footer -->
+            <div class="retype-container">
+                <div class="retype-label">✏️  Type "${analysis.tone}" to continue:</div>
+                <input
+                    type="text"
+                    class="retype-input"
+                    id="retypeInput"
+                    placeholder="Type ${analysis.tone}..."
+                    autocomplete="off"
+                    autocapitalize="off"
+                    spellcheck="false"
+                />
+            </div>
+        `;
+
+        panel.classList.add('show');
+
+        setTimeout(() => {
+            const retypeInput = document.getElementById('retypeInput');
+            if (retypeInput) {
+                retypeInput.focus();
+                this.setupRetypeValidation(retypeInput, analysis.tone);
+            }
+        }, 100);
+    }
+
+    /**
+     * Show which class a consonant belongs to and how to remember it
+     * @param {string} character - The consonant the learner got wrong
+     */
+    showClassPanel(character) {
+        const data = ThaiData.getCharacterData(character);
+        if (!data) return;
+
+        const panel = this.elements.educationalPanel;
+        const classInfo = ThaiData.getClassInfo(data.class);
+
+        const classChars = ThaiData.getCharactersByClass(data.class).map(char => `
+            <div class="class-grid-char${char === character ? ' active' : ''}">${char}</div>
+        `).join('');
+
+        panel.innerHTML = `
+            <!-- Panel Header -->
+            <div class="edu-panel-header">
+                <div class="edu-title">❌ Let's Learn This Class!</div>
+                <div class="edu-answer-display">${classInfo.label} class</div>
+                <div class="edu-char-name">${character} (${data.name})</div>
+            </div>
+
+            <div class="edu-tab-content active">
+                <p class="edu-text">${classInfo.description}</p>
+                ${classInfo.mnemonic ? `<div class="edu-mnemonic-thai">${classInfo.mnemonic}</div>` : ''}
+                <div class="edu-mnemonic">${classInfo.mnemonicMeaning}</div>
+
+                <h3 style="margin: 1.5rem 0 1rem; color: var(--primary-color);">All ${data.class}-class consonants</h3>
+                <div class="class-grid">${classChars}</div>
+            </div>
+
+            <!-- Sticky Re-Type Footer -->
+            <div class="retype-container">
+                <div class="retype-label">✏️  Type "${data.class}" to continue:</div>
+                <input
+                    type="text"
+                    class="retype-input"
+                    id="retypeInput"
+                    placeholder="Type ${data.class}..."
+                    autocomplete="off"
+                    autocapitalize="off"
+                    spellcheck="false"
+                />
+            </div>
+        `;
+
+        panel.classList.add('show');
+
+        setTimeout(() => {
+            const retypeInput = document.getElementById('retypeInput');
+            if (retypeInput) {
+                retypeInput.focus();
+                this.setupRetypeValidation(retypeInput, data.class);
             }
         }, 100);
     }
@@ -334,6 +670,14 @@ class UI {
         this.elements.educationalPanel.innerHTML = '';
     }
 
+    /**
+     * Check whether an educational panel is open
+     * @returns {boolean}
+     */
+    isEducationalPanelVisible() {
+        return this.elements.educationalPanel.classList.contains('show');
+    }
+
     /**
      * Play audio pronunciation (Web Speech API fallback)
      * @param {string} character - Thai character
@@ -345,7 +689,7 @@ class UI {
             // Cancel any ongoing speech
             window.speechSynthesis.cancel();
 
-            const utterance = new SpeechSynthesisUtterance(character);
+            const utterance = new SpeechSynthesisUtterance(ThaiData.getDisplayForm(character));
             utterance.lang = 'th-TH';
             utterance.rate = 0.8; // Slower for learning
             utterance.pitch = 1.0;
@@ -434,6 +778,11 @@ class UI {
         const learnedCount = stats.getLearnedTodayCount(data);
         this.elements.learnedValue.textContent = learnedCount.toString();
 
+        // Study time today
+        if (this.elements.timeTodayValue) {
+            this.elements.timeTodayValue.textContent = stats.formatDuration(stats.getTimeSpentToday(data));
+        }
+
         // Level
         this.elements.currentLevel.textContent = data.settings.currentLevel.toString();
 
@@ -487,6 +836,296 @@ class UI {
      */
     updateSettingsInputs(data) {
         this.elements.newCardsPerDay.value = data.deck.newCardsPerDay || 5;
+        this.renderLevelList(data);
+        this.renderProfiles();
+        if (this.elements.maxReviewsPerSession) {
+            this.elements.maxReviewsPerSession.value = data.deck.maxReviewsPerSession || 50;
+        }
+        if (this.elements.dayStartHour) {
+            this.elements.dayStartHour.value = data.settings.dayStartHour ?? DEFAULT_DAY_START_HOUR;
+        }
+        if (this.elements.idleTimeoutSeconds) {
+            this.elements.idleTimeoutSeconds.value = data.settings.idleTimeoutSeconds || DEFAULT_IDLE_TIMEOUT_SECONDS;
+        }
+        if (this.elements.timezone) {
+            const localZone = StudyDay.getLocalTimezone();
+            this.elements.timezone.innerHTML = `<option value="">Browser (${localZone})</option>` +
+                StudyDay.getTimezones().map(zone => `<option value="${zone}">${zone}</option>`).join('');
+            this.elements.timezone.value = data.settings.timezone || '';
+        }
+        if (this.elements.learningSteps) {
+            this.elements.learningSteps.value = (data.deck.learningSteps || [1, 10]).join(' ');
+            this.elements.relearningSteps.value = (data.deck.relearningSteps || [10]).join(' ');
+        }
+        this.elements.confusionPairCount.value = data.settings.confusionPairCount || DEFAULT_CONFUSION_PAIR_COUNT;
+        this.elements.confusionTargetStreak.value = data.settings.confusionTargetStreak || DEFAULT_CONFUSION_TARGET_STREAK;
+
+        const drillMode = this.elements.drillMode;
+        if (drillMode) {
+            drillMode.innerHTML = Drills.getAllModes().map(mode =>
+                `<option value="${mode.id}" title="${mode.description}">${mode.name}</option>`
+            ).join('');
+            drillMode.value = Drills.resolveModeId(data.settings.drillMode);
+        }
+
+        const scheduler = this.elements.scheduler;
+        if (scheduler) {
+            scheduler.innerHTML = Schedulers.getAll().map(s =>
+                `<option value="${s.id}" title="${s.description}">${s.name}</option>`
+            ).join('');
+            scheduler.value = Schedulers.resolveId(data.settings.scheduler);
+        }
+
+        const schemes = ThaiData.getRomanizationSchemes();
+        const displayScheme = Drills.getDisplayScheme(data);
+        const acceptedSchemes = Drills.getAcceptedSchemes(data);
+
+        if (this.elements.romanizationScheme) {
+            this.elements.romanizationScheme.innerHTML = schemes.map(scheme =>
+                `<option value="${scheme.id}" title="${scheme.description}">${scheme.name}</option>`
+            ).join('');
+            this.elements.romanizationScheme.value = displayScheme;
+        }
+
+        // The displayed scheme is always accepted, so its box is checked and locked
+        if (this.elements.acceptedSchemes) {
+            this.elements.acceptedSchemes.innerHTML = schemes.map(scheme => `
+                <label title="${scheme.description}">
+                    <input type="checkbox" value="${scheme.id}"
+                        ${acceptedSchemes.includes(scheme.id) ? 'checked' : ''}
+                        ${scheme.id === displayScheme ? 'disabled' : ''}>
+                    ${scheme.name}
+                </label>
+            `).join('');
+        }
+    }
+
+    /**
+     * Show how well each scheduler predicted the learner's recall
+     * @param {object[]} results - From Schedulers.compare
+     */
+    showSchedulerComparison(results) {
+        const container = this.elements.schedulerComparison;
+        if (!container) return;
+
+        if (results.every(result => result.predictions === 0)) {
+            container.innerHTML = '<p class="setting-note">Not enough review history yet - review some cards more than once first.</p>';
+            return;
+        }
+
+        const rows = results.map(result => `
+            <tr>
+                <td>${Schedulers.get(result.scheduler).name}</td>
+                <td>${stats.formatPercentage(result.predictedRetention * 100)}</td>
+                <td>${stats.formatPercentage(result.actualRetention * 100)}</td>
+                <td>${result.logLoss.toFixed(3)}</td>
+                <td>${result.rmse.toFixed(3)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="scheduler-table">
+                <thead>
+                    <tr><th>Scheduler</th><th>Predicted</th><th>Actual</th><th>Log loss</th><th>RMSE</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="setting-note">${results[0].predictions} reviews replayed. Lower log loss and RMSE mean better predictions.</p>
+        `;
+    }
+
+    /**
+     * List every level with its status, what's left before it unlocks, and override controls
+     * @param {object} data
+     */
+    renderLevelList(data) {
+        const list = this.elements.levelList;
+        if (!list) return;
+
+        const formatValue = (value, format) => format === 'percent'
+            ? stats.formatPercentage(value, 0)
+            : Math.floor(value).toString();
+
+        list.innerHTML = ThaiData.getAllLevels().map(level => {
+            const status = stats.getLevelUnlockStatus(data, level.number);
+            const isCurrent = data.settings.currentLevel === level.number;
+            const remaining = status.criteria.filter(criterion => !criterion.met);
+
+            let detail;
+            if (!level.unlock) {
+                detail = 'Always open';
+            } else if (status.status === 'unlocked') {
+                detail = status.override ? 'Unlocked manually' : 'Unlocked';
+            } else if (status.override === 'locked') {
+                detail = 'Locked manually';
+            } else {
+                const previous = ThaiData.getPreviousLevel(level.number);
+                detail = `On level ${previous.number}: ` + remaining.map(criterion =>
+                    `${criterion.label} ${formatValue(criterion.current, criterion.format)}/${formatValue(criterion.required, criterion.format)}`
+                ).join(' · ');
+            }
+
+            return `
+                <div class="level-row ${status.status}${isCurrent ? ' current' : ''}">
+                    <div class="level-row-info">
+                        <strong>${level.number}. ${level.name}</strong>
+                        <span class="setting-note">${level.description} (${level.characters.length} characters)</span>
+                        <span class="level-row-detail">${detail}</span>
+                    </div>
+                    <div class="level-row-actions">
+                        ${isCurrent
+                            ? '<span class="level-current-badge">Practising</span>'
+                            : `<button class="secondary-button" data-practice-level="${level.number}" ${status.status === 'unlocked' ? '' : 'disabled'}>Practise</button>`}
+                        <select data-level-override="${level.number}" ${level.unlock ? '' : 'disabled'} aria-label="Unlock override for level ${level.number}">
+                            <option value="" ${!status.override ? 'selected' : ''}>Auto</option>
+                            <option value="unlocked" ${status.override === 'unlocked' ? 'selected' : ''}>Unlocked</option>
+                            <option value="locked" ${status.override === 'locked' ? 'selected' : ''}>Locked</option>
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fill the header profile switcher and the profile list in settings
+     * Names are set as text, since learners type them.
+     */
+    renderProfiles() {
+        const active = profiles.getActive();
+        const { profileSelect, profileList } = this.elements;
+
+        if (profileSelect) {
+            profileSelect.innerHTML = '';
+            profiles.getAll().forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                option.selected = profile.id === active.id;
+                profileSelect.appendChild(option);
+            });
+        }
+
+        if (!profileList) return;
+        profileList.innerHTML = '';
+
+        const makeButton = (label, action, profileId) => {
+            const button = document.createElement('button');
+            button.className = 'secondary-button';
+            button.textContent = label;
+            button.dataset.profileAction = action;
+            button.dataset.profileId = profileId;
+            return button;
+        };
+
+        profiles.getAll().forEach(profile => {
+            const isActive = profile.id === active.id;
+            const row = document.createElement('div');
+            row.className = `level-row profile-row${isActive ? ' current' : ''}`;
+
+            const name = document.createElement('strong');
+            name.textContent = profile.name;
+
+            const actions = document.createElement('div');
+            actions.className = 'level-row-actions';
+            if (isActive) {
+                const badge = document.createElement('span');
+                badge.className = 'level-current-badge';
+                badge.textContent = 'Active';
+                actions.appendChild(badge);
+            } else {
+                actions.appendChild(makeButton('Switch', 'switch', profile.id));
+            }
+            actions.appendChild(makeButton('Export', 'export', profile.id));
+            if (!isActive) {
+                actions.appendChild(makeButton('Delete', 'delete', profile.id));
+            }
+
+            row.append(name, actions);
+            profileList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a checked import file: its problems, or a preview of what importing it changes
+     * @param {object} result - From storage.parseImport or storage.parseCsvImport
+     */
+    showImportPanel(result) {
+        const { importPanel, importSummary, importModeLabel, confirmImport } = this.elements;
+        if (!importPanel) return;
+
+        this.pendingImport = result.data ? result : null;
+        importPanel.style.display = 'block';
+        // A CSV only holds cards, so it always updates them in place
+        importModeLabel.style.display = result.data && result.kind === 'backup' ? '' : 'none';
+        confirmImport.style.display = result.data ? '' : 'none';
+        confirmImport.disabled = false;
+
+        if (result.data) {
+            this.updateImportPreview();
+            return;
+        }
+
+        const shown = result.errors.slice(0, IMPORT_ERRORS_SHOWN);
+        const hidden = result.errors.length - shown.length;
+        importSummary.textContent = `This file can't be imported (${result.errors.length} ${result.errors.length === 1 ? 'problem' : 'problems'}):`;
+        this.setImportList(hidden > 0 ? [...shown, `...and ${hidden} more`] : shown);
+    }
+
+    /**
+     * Get the import mode for the pending file (see storage.getImportResult)
+     * @returns {string}
+     */
+    getImportMode() {
+        return this.pendingImport?.kind === 'cards' ? 'cards' : this.elements.importMode.value;
+    }
+
+    /**
+     * Preview the pending import in the selected mode
+     */
+    async updateImportPreview() {
+        if (!this.pendingImport) return;
+
+        const mode = this.getImportMode();
+        const preview = await storage.previewImport(this.pendingImport.data, mode);
+        const { cards, reviews, days, settings } = preview;
+
+        const summaries = {
+            merge: 'Merging keeps whichever device reviewed each card last and adds up daily stats:',
+            replace: 'Replacing overwrites all progress on this device:',
+            cards: 'Updates the scheduling of the cards in the file; everything else stays as it is:'
+        };
+        this.elements.importSummary.textContent = summaries[mode];
+        this.setImportList([
+            `Cards: ${cards.added} added, ${cards.updated} updated, ${cards.removed} removed, ${cards.unchanged} unchanged`,
+            `Review history: ${reviews.before} → ${reviews.after} reviews`,
+            `Daily stats: ${days.before} → ${days.after} days`,
+            settings.length > 0 ? `Settings changed: ${settings.join(', ')}` : 'Settings unchanged'
+        ]);
+    }
+
+    /**
+     * Fill the import panel's list (as text, since it can quote the file)
+     * @param {string[]} lines
+     */
+    setImportList(lines) {
+        const list = this.elements.importList;
+        list.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Close the import panel without importing
+     */
+    hideImportPanel() {
+        this.pendingImport = null;
+        if (this.elements.importPanel) {
+            this.elements.importPanel.style.display = 'none';
+        }
     }
 
     /**
@@ -502,10 +1141,46 @@ class UI {
 
     /**
      * Show completion message
+     * @param {string} message
      */
-    showSessionComplete() {
+    showSessionComplete(message = 'Great session! All due cards reviewed.') {
         const msg = this.elements.feedbackMsg;
-        msg.textContent = 'Great session! All due cards reviewed.';
+        msg.textContent = message;
+        msg.className = 'feedback-message correct';
+        this.elements.feedbackArea.style.opacity = '1';
+    }
+
+    /**
+     * Show the results of a confusion pair session
+     * @param {object[]} progress - From ConfusionDrillSession.getProgress
+     */
+    showConfusionSessionComplete(progress) {
+        const msg = this.elements.feedbackMsg;
+        const summary = progress.map(pair =>
+            `${pair.characters.map(c => ThaiData.getDisplayForm(c)).join('/')} ${pair.correct}/${pair.trials}`
+        ).join(' · ');
+
+        this.elements.thaiChar.textContent = '✓';
+        this.elements.charHint.textContent = 'Press Space to continue';
+        msg.textContent = `Confusion drill complete! ${summary}`;
+        msg.className = 'feedback-message correct';
+        this.elements.feedbackArea.style.opacity = '1';
+    }
+
+    /**
+     * Show the results of a fluency session
+     * @param {object[]} progress - From FluencyDrillSession.getProgress
+     */
+    showFluencySessionComplete(progress) {
+        const msg = this.elements.feedbackMsg;
+        const summary = progress.map(item => {
+            const best = item.bestTime !== null ? `${(item.bestTime / 1000).toFixed(1)}s` : '-';
+            return `${ThaiData.getDisplayForm(item.character)} ${best}${item.cleared ? ' ✓' : ''}`;
+        }).join(' · ');
+
+        this.elements.thaiChar.textContent = '✓';
+        this.elements.charHint.textContent = 'Press Space to continue';
+        msg.textContent = `Fluency drill complete! Best times: ${summary}`;
         msg.className = 'feedback-message correct';
         this.elements.feedbackArea.style.opacity = '1';
     }
@@ -563,20 +1238,27 @@ class UI {
             storage.downloadExport();
         });
 
+        this.elements.exportCsv?.addEventListener('click', () => {
+            storage.downloadDeckCsv();
+        });
+
+        this.elements.exportAnki?.addEventListener('click', () => {
+            storage.downloadAnkiPackage();
+        });
+
         this.elements.importData?.addEventListener('click', () => {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = 'application/json';
+            input.accept = 'application/json,.json,text/csv,.csv';
             input.onchange = (e) => {
                 const file = e.target.files[0];
                 if (file) {
                     const reader = new FileReader();
                     reader.onload = (event) => {
-                        const success = storage.importData(event.target.result);
-                        if (success) {
-                            alert('Data imported successfully! Reloading...');
-                            window.location.reload();
-                        }
+                        const text = event.target.result;
+                        this.showImportPanel(file.name.toLowerCase().endsWith('.csv')
+                            ? storage.parseCsvImport(text)
+                            : storage.parseImport(text));
                     };
                     reader.readAsText(file);
                 }
@@ -584,16 +1266,139 @@ class UI {
             input.click();
         });
 
-        this.elements.resetProgress?.addEventListener('click', () => {
+        this.elements.importMode?.addEventListener('change', () => this.updateImportPreview());
+
+        this.elements.confirmImport?.addEventListener('click', async () => {
+            if (!this.pendingImport) return;
+            this.elements.confirmImport.disabled = true;
+            const success = await storage.importData(this.pendingImport.data, this.getImportMode());
+            if (success) {
+                this.elements.importSummary.textContent = 'Data imported. Reloading...';
+                window.location.reload();
+            } else {
+                this.elements.importSummary.textContent = 'Import failed: the data could not be saved.';
+                this.elements.confirmImport.disabled = false;
+            }
+        });
+
+        this.elements.cancelImport?.addEventListener('click', () => this.hideImportPanel());
+
+        this.elements.resetProgress?.addEventListener('click', async () => {
             if (confirm('Are you sure you want to reset all progress? This cannot be undone!')) {
                 if (confirm('Really sure? This will delete everything!')) {
-                    storage.clearAll();
+                    await storage.clearAll();
                     alert('Progress reset. Reloading...');
                     window.location.reload();
                 }
             }
         });
 
+        // Drill mode setting
+        this.elements.drillMode?.addEventListener('change', (e) => {
+            if (app) {
+                app.setDrillMode(e.target.value);
+            }
+        });
+
+        // Scheduler setting
+        this.elements.scheduler?.addEventListener('change', (e) => {
+            if (app) {
+                app.setScheduler(e.target.value);
+            }
+        });
+
+        this.elements.compareSchedulers?.addEventListener('click', () => {
+            if (app) {
+                this.showSchedulerComparison(Schedulers.compare(app.data.reviewLog || [], {
+                    learningSteps: app.deck.learningSteps,
+                    relearningSteps: app.deck.relearningSteps
+                }));
+            }
+        });
+
+        // Romanization settings
+        this.elements.romanizationScheme?.addEventListener('change', (e) => {
+            if (app) {
+                app.setRomanizationSettings({ romanizationScheme: e.target.value });
+                this.updateSettingsInputs(app.data);
+            }
+        });
+
+        this.elements.acceptedSchemes?.addEventListener('change', () => {
+            if (app) {
+                const checked = this.elements.acceptedSchemes.querySelectorAll('input:checked');
+                app.setRomanizationSettings({
+                    acceptedSchemes: Array.from(checked).map(box => box.value)
+                });
+            }
+        });
+
+        // Confusion drill settings
+        this.elements.confusionPairCount?.addEventListener('change', (e) => {
+            if (app) {
+                app.data.settings.confusionPairCount = parseInt(e.target.value);
+                app.saveData();
+            }
+        });
+
+        this.elements.confusionTargetStreak?.addEventListener('change', (e) => {
+            if (app) {
+                app.data.settings.confusionTargetStreak = parseInt(e.target.value);
+                app.saveData();
+            }
+        });
+
+        this.elements.startConfusionDrill?.addEventListener('click', () => {
+            this.hideSettings();
+            app?.startConfusionSession();
+        });
+
+        // Profiles
+        this.elements.profileSelect?.addEventListener('change', (e) => {
+            app?.switchProfile(e.target.value);
+        });
+
+        this.elements.profileList?.addEventListener('click', async (e) => {
+            const { profileAction, profileId } = e.target.dataset;
+            const profile = profiles.get(profileId);
+            if (!app || !profile) return;
+
+            if (profileAction === 'switch') {
+                app.switchProfile(profileId);
+            } else if (profileAction === 'export') {
+                app.exportProfile(profileId);
+            } else if (profileAction === 'delete' &&
+                confirm(`Delete the profile "${profile.name}" and all of its progress? This cannot be undone!`)) {
+                if (!await app.deleteProfile(profileId)) {
+                    this.elements.profileError.textContent = `Couldn't delete "${profile.name}".`;
+                }
+            }
+        });
+
+        const createProfile = async () => {
+            const error = await app?.createProfile(this.elements.newProfileName.value);
+            this.elements.profileError.textContent = error || '';
+        };
+        this.elements.createProfile?.addEventListener('click', createProfile);
+        this.elements.newProfileName?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') createProfile();
+        });
+
+        // Level overrides and switching
+        this.elements.levelList?.addEventListener('change', (e) => {
+            const level = parseInt(e.target.dataset.levelOverride);
+            if (app && level) {
+                app.setLevelOverride(level, e.target.value || null);
+            }
+        });
+
+        this.elements.levelList?.addEventListener('click', (e) => {
+            const level = parseInt(e.target.dataset.practiceLevel);
+            if (app && level) {
+                app.setCurrentLevel(level);
+            }
+        });
+
         // New cards per day setting
         this.elements.newCardsPerDay?.addEventListener('change', (e) => {
             if (app) {
@@ -602,6 +1407,83 @@ class UI {
                 app.saveData();
             }
         });
+
+        this.elements.maxReviewsPerSession?.addEventListener('change', (e) => {
+            if (!app) return;
+            const maxReviews = this.readWholeNumber(e.target);
+            if (maxReviews === null) {
+                e.target.value = app.deck.maxReviewsPerSession;
+                return;
+            }
+            app.data.deck.maxReviewsPerSession = maxReviews;
+            app.deck.maxReviewsPerSession = maxReviews;
+            app.saveData();
+        });
+
+        // Study day boundaries
+        this.elements.dayStartHour?.addEventListener('change', (e) => {
+            if (!app) return;
+            const dayStartHour = this.readWholeNumber(e.target);
+            if (dayStartHour === null) {
+                e.target.value = app.getDayOptions().dayStartHour;
+                return;
+            }
+            app.setDayOptions({ dayStartHour });
+        });
+
+        this.elements.timezone?.addEventListener('change', (e) => {
+            app?.setDayOptions({ timezone: e.target.value });
+        });
+
+        this.elements.idleTimeoutSeconds?.addEventListener('change', (e) => {
+            if (!app) return;
+            const seconds = this.readWholeNumber(e.target);
+            if (seconds === null) {
+                e.target.value = app.data.settings.idleTimeoutSeconds || DEFAULT_IDLE_TIMEOUT_SECONDS;
+                return;
+            }
+            app.data.settings.idleTimeoutSeconds = seconds;
+            stats.setIdleTimeout(seconds);
+            app.saveData();
+        });
+
+        // Learning and relearning steps (blank means none)
+        ['learningSteps', 'relearningSteps'].forEach(setting => {
+            this.elements[setting]?.addEventListener('change', (e) => {
+                if (app) {
+                    const steps = this.parseSteps(e.target.value);
+                    app.data.deck[setting] = steps;
+                    app.deck[setting] = steps;
+                    e.target.value = steps.join(' ');
+                    app.saveData();
+                }
+            });
+        });
+    }
+
+    /**
+     * Read a whole number from a number input, within the input's min and max
+     * @param {HTMLInputElement} input
+     * @returns {number|null} - null if the field is empty or out of range
+     */
+    readWholeNumber(input) {
+        const value = Number(input.value);
+        if (input.value.trim() === '' || !Number.isInteger(value)) return null;
+        if ((input.min !== '' && value < Number(input.min)) || (input.max !== '' && value > Number(input.max))) {
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Parse a list of step delays typed as minutes, e.g. "1 10" or "1, 10"
+     * @param {string} text
+     * @returns {number[]}
+     */
+    parseSteps(text) {
+        return text.split(/[\s,]+/)
+            .map(step => parseFloat(step))
+            .filter(step => step > 0);
     }
 
     /**
@@ -609,8 +1491,23 @@ class UI {
      */
     setupKeyboardShortcuts(app) {
         document.addEventListener('keydown', (e) => {
+            // Number keys pick an answer choice when the mode offers them
+            const active = document.activeElement;
+            const typingElsewhere = active !== this.elements.romanInput &&
+                ['INPUT', 'SELECT', 'TEXTAREA'].includes(active?.tagName);
+            if (this.currentChoices && !typingElsewhere && !this.elements.romanInput.disabled &&
+                !e.ctrlKey && !e.metaKey && !e.altKey) {
+                if (this.selectChoiceByKey(e.key)) {
+                    e.preventDefault();
+                    return;
+                }
+            }
+
             // Don't intercept if typing in input
             if (document.activeElement === this.elements.romanInput) {
+                if (this.mapThaiKeystroke(e)) {
+                    return;
+                }
                 if (e.key === 'Enter') {
                     e.preventDefault();
                     this.elements.submitBtn.click();
@@ -625,6 +1522,8 @@ class UI {
                         this.hideHelp();
                     } else if (this.elements.settingsModal.style.display === 'flex') {
                         this.hideSettings();
+                    } else if (dashboard.isVisible()) {
+                        dashboard.hide();
                     } else {
                         // Reveal answer
                         app?.revealAnswer();
@@ -638,9 +1537,21 @@ class UI {
                 case 'S':
                     this.showSettings();
                     break;
+                case 'd':
+                case 'D':
+                    if (app) dashboard.show(app.data);
+                    break;
                 case '?':
                     this.showHelp();
                     break;
+                case 'c':
+                case 'C':
+                    app?.startConfusionSession();
+                    break;
+                case 'f':
+                case 'F':
+                    app?.startFluencySession();
+                    break;
             }
         });
     }
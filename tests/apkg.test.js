@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { AnkiPackage, SqliteFile, crc32 } = loadScripts(['apkg.js'], ['AnkiPackage', 'SqliteFile', 'crc32']);
+
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+
+/**
+ * Read the stored (uncompressed) entries of a zip
+ * @param {Uint8Array} zip
+ * @returns {object} - name -> Uint8Array
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const files = {};
+    for (let offset = 0; view.getUint32(offset, true) === 0x04034b50;) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = new TextDecoder().decode(zip.subarray(offset + 30, offset + 30 + nameLength));
+        const data = zip.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        assert.strictEqual(crc32(data), view.getUint32(offset + 14, true));
+        files[name] = data;
+        offset += 30 + nameLength + size;
+    }
+    return files;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('a package holds a SQLite collection and an empty media list', async () => {
+    const notes = Array.from({ length: 60 }, (_, i) => ({
+        fields: [`ก${i}`, 'k', 'ko kai', 'mid', 'An explanation long enough to need more than one page. '.repeat(2), ''],
+        tags: ['consonant', 'level-1']
+    }));
+
+    const files = readZip(await AnkiPackage.build({ deckName: 'Test', fields: ['A', 'B', 'C', 'D', 'E', 'F'], notes, now: NOW }));
+
+    assert.deepStrictEqual(Object.keys(files), ['collection.anki2', 'media']);
+    assert.strictEqual(new TextDecoder().decode(files.media), '{}');
+
+    const collection = files['collection.anki2'];
+    const header = new DataView(collection.buffer, collection.byteOffset, 100);
+    assert.strictEqual(new TextDecoder().decode(collection.subarray(0, 16)), 'SQLite format 3\0');
+    assert.strictEqual(header.getUint16(16), 4096);
+    assert.strictEqual(header.getUint32(28) * 4096, collection.length);
+});
+
+test('note guids come from the deck name and first field', async () => {
+    const digest = async text => new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text)));
+
+    const guid = AnkiPackage.toGuid(await digest('Test\x1fก'));
+
+    assert.strictEqual(AnkiPackage.toGuid(await digest('Test\x1fก')), guid);
+    assert.notStrictEqual(AnkiPackage.toGuid(await digest('Test\x1fข')), guid);
+    assert.match(guid, /^[!-~]{1,10}$/);
+});
+
+test('b-trees too big for one page get interior pages and overflow pages', () => {
+    const db = new SqliteFile(512);
+    const rows = Array.from({ length: 500 }, (_, i) => ({ id: i + 1, value: i % 100 === 0 ? 'x'.repeat(2000) : `row ${i}` }));
+
+    db.addTable('items', ['id integer primary key', 'value text'], rows);
+    db.addIndex('ix_items_id', 'items', ['id']);
+    const file = db.toBytes();
+
+    const root = db.schema[0].rootPage;
+    // Interior table page
+    assert.strictEqual(file[(root - 1) * 512], 5);
+    assert.strictEqual(file.length, db.pages.length * 512);
+    assert.ok(db.pages.every(page => page instanceof Uint8Array));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { StudyDay, DEFAULT_DAY_START_HOUR } = loadScripts(['dates.js'], ['StudyDay', 'DEFAULT_DAY_START_HOUR']);
+
+const NEW_YORK = { timezone: 'America/New_York', dayStartHour: 4 };
+
+test('reviews before the day start hour count towards the previous day', () => {
+    const bangkok = { timezone: 'Asia/Bangkok', dayStartHour: 4 };
+
+    // 03:59 and 04:00 on 11 January in Bangkok (UTC+7)
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-01-10T20:59:00Z'), bangkok), '2026-01-10');
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-01-10T21:00:00Z'), bangkok), '2026-01-11');
+});
+
+test('a day start hour of 0 uses calendar days', () => {
+    const utc = { timezone: 'UTC', dayStartHour: 0 };
+
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-01-10T23:59:00Z'), utc), '2026-01-10');
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-01-11T00:00:00Z'), utc), '2026-01-11');
+});
+
+test('day keys follow the wall clock when clocks go forward', () => {
+    // 8 March 2026: 02:00 EST becomes 03:00 EDT
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-03-08T06:30:00Z'), NEW_YORK), '2026-03-07'); // 01:30 EST
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-03-08T07:30:00Z'), NEW_YORK), '2026-03-07'); // 03:30 EDT
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-03-08T08:00:00Z'), NEW_YORK), '2026-03-08'); // 04:00 EDT
+});
+
+test('day keys follow the wall clock when clocks go back', () => {
+    // 1 November 2026: 02:00 EDT becomes 01:00 EST
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-11-01T05:30:00Z'), NEW_YORK), '2026-10-31'); // 01:30 EDT
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-11-01T08:30:00Z'), NEW_YORK), '2026-10-31'); // 03:30 EST
+    assert.strictEqual(StudyDay.getKey(Date.parse('2026-11-01T09:00:00Z'), NEW_YORK), '2026-11-01'); // 04:00 EST
+});
+
+test('addDays counts calendar days across DST changes, months and years', () => {
+    assert.strictEqual(StudyDay.addDays('2026-03-07', 1), '2026-03-08');
+    assert.strictEqual(StudyDay.addDays('2026-03-08', 1), '2026-03-09');
+    assert.strictEqual(StudyDay.addDays('2026-11-01', -1), '2026-10-31');
+    assert.strictEqual(StudyDay.addDays('2026-12-31', 1), '2027-01-01');
+    assert.strictEqual(StudyDay.addDays('2028-03-01', -1), '2028-02-29');
+});
+
+test('getRecentKeys ends today, oldest first, across a DST change', () => {
+    const now = Date.parse('2026-03-09T12:00:00Z');
+
+    assert.deepStrictEqual(StudyDay.getRecentKeys(3, NEW_YORK, now), ['2026-03-07', '2026-03-08', '2026-03-09']);
+});
+
+test('getOptions falls back to the default start hour for invalid values', () => {
+    assert.deepStrictEqual(StudyDay.getOptions({ dayStartHour: 0, timezone: 'Asia/Bangkok' }),
+        { timezone: 'Asia/Bangkok', dayStartHour: 0 });
+    [undefined, null, NaN, -1, 24, 4.5, '4'].forEach(dayStartHour => {
+        assert.strictEqual(StudyDay.getOptions({ dayStartHour }).dayStartHour, DEFAULT_DAY_START_HOUR);
+    });
+    assert.strictEqual(StudyDay.getOptions({ timezone: '' }).timezone, null);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { DRILL_MODES, ThaiData, storage } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'adapters.js', 'storage.js',
+        'drills.js'],
+    ['DRILL_MODES', 'ThaiData', 'storage']
+);
+
+const lastLevel = ThaiData.getAllLevels().slice(-1)[0].number;
+
+function levelData(level) {
+    const data = storage.getDefaultData();
+    data.settings.currentLevel = level;
+    return data;
+}
+
+test('reverse prompts tell every consonant and every vowel apart', () => {
+    const data = levelData(lastLevel);
+    const characters = ThaiData.getLevelCharacters(lastLevel);
+
+    [true, false].forEach(isVowel => {
+        const prompts = characters
+            .filter(char => ThaiData.isVowel(char) === isVowel)
+            .map(char => {
+                const { text, hint } = DRILL_MODES.reverse.getPrompt(char, data);
+                return `${text} ${hint}`;
+            });
+        assert.strictEqual(new Set(prompts).size, prompts.length);
+    });
+});
+
+test('multiple-choice options all read differently', () => {
+    ThaiData.getAllLevels().forEach(({ number }) => {
+        const data = levelData(number);
+        ThaiData.getLevelCharacters(number).forEach(char => {
+            const labels = DRILL_MODES.choice.getChoices(char, data).map(choice => choice.label);
+            assert.strictEqual(new Set(labels).size, labels.length, `${char} at level ${number}`);
+            assert.ok(labels.includes(DRILL_MODES.choice.getAnswer(char, data)));
+        });
+    });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { FluencyDrillSession } = loadScripts(['stats.js', 'fluency.js'], ['FluencyDrillSession']);
+
+test('a character clears after fast correct answers in a row', () => {
+    const session = new FluencyDrillSession(['ก', 'ข']);
+
+    assert.strictEqual(session.getNextCharacter(), 'ก');
+    session.recordAnswer(true, 1000);
+    assert.strictEqual(session.getNextCharacter(), 'ข');
+    session.recordAnswer(true, 5000);
+    assert.strictEqual(session.getNextCharacter(), 'ก');
+    session.recordAnswer(true, 1500);
+
+    // Only ข is left
+    assert.strictEqual(session.getNextCharacter(), 'ข');
+    assert.strictEqual(session.getNextCharacter(), 'ข');
+    assert.deepStrictEqual(session.getProgress()[0], { character: 'ก', trials: 2, correct: 2, bestTime: 1000, cleared: true });
+});
+
+test('a slow or wrong answer resets the streak, and a session ends after the trial cap', () => {
+    const session = new FluencyDrillSession(['ก']);
+
+    let trials = 0;
+    while (session.getNextCharacter()) {
+        // Fast, then slow, then wrong: never two fast answers in a row
+        session.recordAnswer(trials % 3 !== 2, trials % 3 === 0 ? 1000 : 5000);
+        trials++;
+    }
+
+    assert.strictEqual(trials, 6);
+    assert.strictEqual(session.isComplete(), true);
+    assert.deepStrictEqual(session.getProgress(), [{ character: 'ก', trials: 6, correct: 4, bestTime: 1000, cleared: false }]);
+});
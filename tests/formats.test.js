@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { DeckFormats, splitCsvRows, SM2Card } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'importer.js', 'formats.js',
+        'drills.js'],
+    ['DeckFormats', 'splitCsvRows', 'SM2Card']
+);
+
+const START = Date.parse('2026-01-10T12:00:00Z');
+
+function sampleCards() {
+    const reviewed = new SM2Card('ก');
+    reviewed.review(5, 1200, START);
+    reviewed.review(3, 4500, START + 24 * 60 * 60 * 1000);
+
+    const fsrs = new SM2Card('ข', 'final');
+    fsrs.scheduler = 'fsrs';
+    fsrs.review(1, 800, START);
+
+    const unseen = { ...new SM2Card('ค', 'class').toJSON(), nextReview: START };
+
+    return {
+        'ก': reviewed.toJSON(),
+        'final:ข': fsrs.toJSON(),
+        'class:ค': unseen
+    };
+}
+
+test('a deck exported to CSV imports back unchanged', () => {
+    const cards = sampleCards();
+
+    const { cards: parsed, errors } = DeckFormats.parseCsv(DeckFormats.toCsv(cards));
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(parsed, cards);
+});
+
+test('CSV rows start with the columns a spreadsheet reader wants', () => {
+    const [header, row] = splitCsvRows(DeckFormats.toCsv({ 'ก': sampleCards()['ก'] }));
+
+    assert.deepStrictEqual(header.slice(0, 9),
+        ['character', 'mode', 'romanization', 'name', 'class', 'interval', 'ease', 'dueDate', 'accuracy']);
+    assert.deepStrictEqual(row.slice(0, 6), ['ก', 'roman', 'k', 'ko kai', 'mid', '6']);
+    assert.strictEqual(row[8], '100.0%');
+});
+
+test('a CSV with some of the columns sets just those fields', () => {
+    const csv = 'character,interval,dueDate\r\nก,4,2026-02-01T00:00:00.000Z\r\n';
+
+    assert.deepStrictEqual(DeckFormats.parseCsv(csv), {
+        cards: { 'ก': { character: 'ก', interval: 4, nextReview: Date.parse('2026-02-01T00:00:00.000Z') } },
+        errors: []
+    });
+});
+
+test('CSV problems name the row and column', () => {
+    const csv = [
+        'character,mode,interval,dueDate',
+        'ก,roman,-1,soon',
+        'x,roman,1,2026-01-01',
+        'ข,roman,2,',
+        'ค,roman,2,2026-01-01',
+        'ค,roman,3,2026-01-01'
+    ].join('\n');
+
+    assert.deepStrictEqual(DeckFormats.parseCsv(csv).errors, [
+        'Row 2 (ก): interval must be at least 0 (got -1)',
+        'Row 2 (ก): dueDate must be a date (got "soon")',
+        'Row 3 (x): unknown character "x"',
+        'Row 4 (ข): dueDate must not be empty (got null)',
+        'Row 6 (ค): appears more than once'
+    ]);
+    assert.deepStrictEqual(DeckFormats.parseCsv('').errors, ['The file is empty']);
+    assert.deepStrictEqual(DeckFormats.parseCsv('mode\nroman\n').errors, ['Missing a "character" column']);
+});
+
+test('splitCsvRows handles quotes, embedded newlines, CRLF, a BOM and blank lines', () => {
+    const text = '﻿a,"b, c","say ""hi""\nthere"\r\n\r\n1,,3';
+
+    assert.deepStrictEqual(splitCsvRows(text), [
+        ['a', 'b, c', 'say "hi"\nthere'],
+        ['1', '', '3']
+    ]);
+});
+
+test('Anki notes have one per character, with fields in order and tags', () => {
+    const notes = DeckFormats.getAnkiNotes(sampleCards());
+
+    assert.strictEqual(notes.length, 3);
+    assert.deepStrictEqual(notes[0].fields.slice(0, 4), ['ก', 'k', 'ko kai', 'mid']);
+    assert.strictEqual(notes[0].fields.length, 6);
+    assert.deepStrictEqual(notes[0].tags, ['consonant', 'mid-class', 'level-1']);
+});
+
+test('CSV rows for cards not in the deck yet become complete cards', () => {
+    const { storage } = loadScripts(['adapters.js', 'storage.js'], ['storage']);
+    const current = storage.getDefaultData();
+    current.settings.scheduler = 'fsrs';
+    current.deck.cards = { 'ก': sampleCards()['ก'] };
+
+    const { cards } = DeckFormats.parseCsv('character,mode,interval\nก,roman,9\nข,final,2\n');
+    const result = storage.getImportResult(current, { deck: { cards } }, 'cards');
+
+    assert.deepStrictEqual(result.deck.cards['ก'], { ...current.deck.cards['ก'], interval: 9 });
+    assert.deepStrictEqual(Object.keys(result.deck.cards['final:ข']).sort(), Object.keys(new SM2Card('ข').toJSON()).sort());
+    assert.strictEqual(result.deck.cards['final:ข'].mode, 'final');
+    assert.strictEqual(result.deck.cards['final:ข'].interval, 2);
+    assert.strictEqual(result.deck.cards['final:ข'].totalReviews, 0);
+    assert.strictEqual(result.deck.cards['final:ข'].scheduler, 'fsrs');
+});
@@ -0,0 +1,31 @@
+/**
+ * Test Helpers
+ * The app is plain browser scripts sharing one global scope, so tests load them the same way:
+ * each test file runs in its own process and loads the scripts it needs, in index.html order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Run app scripts in this process's global scope and return the globals they define
+ * @param {string[]} files - Script names in js/, in the order index.html loads them
+ * @param {string[]} names - Globals to return, e.g. ['Migrations', 'STORAGE_VERSION']
+ * @returns {object} - { name: value }
+ */
+function loadScripts(files, names) {
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), { filename: file });
+    });
+
+    const globals = {};
+    names.forEach(name => {
+        globals[name] = vm.runInThisContext(name);
+    });
+    return globals;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Importer, SM2Card, storage } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'adapters.js', 'storage.js',
+        'importer.js', 'drills.js'],
+    ['Importer', 'SM2Card', 'storage']
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-10T12:00:00Z');
+
+function card(character, mode, changes = {}) {
+    return { ...new SM2Card(character, mode).toJSON(), nextReview: START, ...changes };
+}
+
+function review(character, timestamp, correct = true) {
+    return { timestamp, character, mode: 'roman', correct, quality: correct ? 5 : 1, responseTime: 1000 };
+}
+
+function deviceData(cards, reviewLog = [], dailyStats = {}) {
+    const data = storage.getDefaultData();
+    data.deck.cards = cards;
+    data.reviewLog = reviewLog;
+    data.stats.dailyStats = dailyStats;
+    return data;
+}
+
+test('validate accepts well-formed data', () => {
+    const data = deviceData(
+        { 'ก': card('ก'), 'class:ข': card('ข', 'class') },
+        [review('ก', START)],
+        { '2026-01-10': { reviews: 1, correct: 1, wrong: 0, timeSpent: 0 } }
+    );
+
+    assert.deepStrictEqual(Importer.validate(data), []);
+});
+
+test('validate reports each bad card field', () => {
+    const data = deviceData({
+        'ก': card('ก', 'roman', { easeFactor: 0.5, repetitions: 1.5, isNew: 'yes', difficulty: 11 }),
+        'x': card('x'),
+        'ข': card('ค'),
+        'tone:ก': card('ก', 'tone'),
+        'ง': card('ง', 'roman', { scheduler: 'leitner' })
+    });
+
+    assert.deepStrictEqual(Importer.validate(data), [
+        'Card "ก": easeFactor must be at least 1.3 (got 0.5)',
+        'Card "ก": repetitions must be a whole number (got 1.5)',
+        'Card "ก": difficulty must be at most 10 (got 11)',
+        'Card "ก": isNew must be true or false (got "yes")',
+        'Card "x": unknown character "x"',
+        'Card "ข": key doesn\'t match its character and mode',
+        'Card "tone:ก": unknown character "ก"',
+        'Card "ง": unknown scheduler "leitner"'
+    ]);
+});
+
+test('validate reports bad reviews and daily stats', () => {
+    const data = deviceData(
+        { 'ก': card('ก') },
+        [review('ก', START), { character: 'ก', correct: true }],
+        { 'yesterday': { reviews: 1 }, '2026-01-10': { reviews: -1 } }
+    );
+
+    assert.deepStrictEqual(Importer.validate(data), [
+        'Review 2: needs a timestamp, character and correct',
+        'Daily stats "yesterday": not a date',
+        'Daily stats "2026-01-10": reviews must be a number of at least 0'
+    ]);
+});
+
+test('merge keeps the card reviewed last and combines history without duplicates', () => {
+    const shared = review('ก', START);
+    const current = deviceData(
+        { 'ก': card('ก', 'roman', { lastReviewed: START + DAY, interval: 6 }), 'ข': card('ข', 'roman', { lastReviewed: START }) },
+        [shared, review('ก', START + DAY)],
+        { '2026-01-10': { reviews: 1, correct: 1, wrong: 0, timeSpent: 1000, timeByMode: { roman: 1000 } } }
+    );
+    const incoming = deviceData(
+        { 'ก': card('ก', 'roman', { lastReviewed: START }), 'ข': card('ข', 'roman', { lastReviewed: START + DAY, interval: 3 }), 'ค': card('ค') },
+        [review('ข', START + DAY), shared],
+        { '2026-01-10': { reviews: 2, correct: 1, wrong: 1, timeSpent: 500, timeByMode: { roman: 500 } } }
+    );
+    incoming.settings.unlockedLevels = [1, 2];
+    const before = JSON.stringify([current, incoming]);
+
+    const result = Importer.merge(current, incoming);
+
+    assert.strictEqual(JSON.stringify([current, incoming]), before);
+    assert.strictEqual(result.deck.cards['ก'].interval, 6);
+    assert.strictEqual(result.deck.cards['ข'].interval, 3);
+    assert.ok(result.deck.cards['ค']);
+    assert.deepStrictEqual(result.reviewLog.map(entry => [entry.character, entry.timestamp]), [
+        ['ก', START], ['ก', START + DAY], ['ข', START + DAY]
+    ]);
+    assert.deepStrictEqual(result.stats.dailyStats['2026-01-10'],
+        { reviews: 3, correct: 2, wrong: 1, timeSpent: 1500, timeByMode: { roman: 1500 } });
+    assert.deepStrictEqual(result.settings.unlockedLevels, [1, 2]);
+});
+
+test('preview counts what an import changes', () => {
+    const current = deviceData({ 'ก': card('ก'), 'ข': card('ข'), 'ค': card('ค') }, [review('ก', START)]);
+    const result = deviceData({ 'ก': card('ก'), 'ข': card('ข', 'roman', { interval: 3 }), 'ง': card('ง') });
+    result.settings.dayStartHour = 0;
+
+    assert.deepStrictEqual(Importer.preview(current, result), {
+        cards: { added: 1, updated: 1, removed: 1, unchanged: 1 },
+        reviews: { before: 1, after: 0 },
+        days: { before: 0, after: 0 },
+        settings: ['dayStartHour']
+    });
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Migrations, STORAGE_VERSION, storage } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'adapters.js', 'storage.js'],
+    ['Migrations', 'STORAGE_VERSION', 'storage']
+);
+
+const BANGKOK = { timezone: 'Asia/Bangkok' };
+
+// Saved before migrations existed: days keyed by UTC date
+function versionOneData() {
+    return {
+        version: 1,
+        settings: { currentLevel: 1, unlockedLevels: [1] },
+        deck: { cards: {} },
+        stats: {
+            dailyStats: {
+                // Before the review log started
+                '2026-01-05': { reviews: 3, correct: 2, wrong: 1, timeSpent: 0 },
+                // One review here isn't in the log
+                '2026-01-10': { reviews: 3, correct: 2, wrong: 1, timeSpent: 60000, timeByMode: { roman: 60000 } }
+            }
+        },
+        reviewLog: [
+            // 03:00 on the 11th in Bangkok: still the 10th with the day starting at 4am
+            { timestamp: Date.parse('2026-01-10T20:00:00Z'), character: 'ก', mode: 'roman', correct: true },
+            // 05:00 on the 11th in Bangkok
+            { timestamp: Date.parse('2026-01-10T22:00:00Z'), character: 'ข', mode: 'roman', correct: false }
+        ]
+    };
+}
+
+test('getPending lists the steps after a version, in order', () => {
+    assert.deepStrictEqual(Migrations.getPending(1).map(step => step.version), [2]);
+    assert.deepStrictEqual(Migrations.getPending(STORAGE_VERSION), []);
+});
+
+test('run brings version 1 data up to date without changing its input', () => {
+    const data = versionOneData();
+    const before = JSON.stringify(data);
+
+    const result = Migrations.run(data, BANGKOK);
+
+    assert.strictEqual(JSON.stringify(data), before);
+    assert.strictEqual(result.version, STORAGE_VERSION);
+    assert.deepStrictEqual(result.stats.dailyStats, {
+        '2026-01-05': { reviews: 3, correct: 2, wrong: 1, timeSpent: 0 },
+        '2026-01-10': { reviews: 2, correct: 2, wrong: 0, timeSpent: 60000, timeByMode: { roman: 60000 } },
+        '2026-01-11': { reviews: 1, correct: 0, wrong: 1, timeSpent: 0, timeByMode: {} }
+    });
+});
+
+test('run treats data without a version as version 1', () => {
+    const data = versionOneData();
+    delete data.version;
+
+    assert.deepStrictEqual(Migrations.run(data, BANGKOK), Migrations.run(versionOneData(), BANGKOK));
+});
+
+test('run leaves current data as it is', () => {
+    const data = { ...versionOneData(), version: STORAGE_VERSION };
+
+    assert.deepStrictEqual(Migrations.run(data, BANGKOK), data);
+});
+
+test('run rejects data from a newer version', () => {
+    const data = { ...versionOneData(), version: STORAGE_VERSION + 1 };
+
+    assert.throws(() => Migrations.run(data), error => {
+        assert.match(error.message, /newer version/);
+        assert.strictEqual(error.version, STORAGE_VERSION + 1);
+        return true;
+    });
+});
+
+test('a failing step reports its version and leaves the input unchanged', () => {
+    const data = versionOneData();
+    data.reviewLog.push({ timestamp: 'yesterday', character: 'ค', mode: 'roman', correct: true });
+    const before = JSON.stringify(data);
+
+    assert.throws(() => Migrations.run(data, BANGKOK), error => {
+        assert.match(error.message, /Migration to version 2 failed/);
+        assert.strictEqual(error.version, 2);
+        return true;
+    });
+    assert.strictEqual(JSON.stringify(data), before);
+});
+
+test('a failing step leaves saved data and its backup untouched', async () => {
+    const stored = versionOneData();
+    stored.reviewLog.push({ timestamp: 'yesterday', character: 'ค', mode: 'roman', correct: true });
+
+    await storage.init('migration-test');
+    await storage.adapter.write({ snapshot: JSON.stringify(stored) });
+
+    const data = await storage.upgrade(await storage.readStored());
+
+    assert.deepStrictEqual(data, storage.getDefaultData());
+    assert.strictEqual(storage.writesSuspended, true);
+    assert.match(storage.loadError, /Migration to version 2 failed/);
+    assert.deepStrictEqual(await storage.adapter.read(), stored);
+    assert.deepStrictEqual(await storage.adapter.readBackup(), stored);
+});
+
+test('fillDefaults adds missing keys at any depth and keeps what is there', () => {
+    const data = { settings: { currentLevel: 3, unlockedLevels: [1, 2, 3] }, stats: {} };
+    const defaults = {
+        settings: { currentLevel: 1, unlockedLevels: [1], dayStartHour: 4, levelOverrides: {} },
+        stats: { dailyStats: {}, timeByMode: {} },
+        reviewLog: []
+    };
+    const before = JSON.stringify(data);
+
+    const result = Migrations.fillDefaults(data, defaults);
+
+    assert.strictEqual(JSON.stringify(data), before);
+    assert.deepStrictEqual(result, {
+        settings: { currentLevel: 3, unlockedLevels: [1, 2, 3], dayStartHour: 4, levelOverrides: {} },
+        stats: { dailyStats: {}, timeByMode: {} },
+        reviewLog: []
+    });
+
+    // Defaults are copied, not shared
+    result.reviewLog.push('entry');
+    assert.deepStrictEqual(defaults.reviewLog, []);
+});
+
+test('rebucketDailyStats moves back and forth between day settings without losing history', () => {
+    const data = Migrations.run(versionOneData(), BANGKOK);
+    const fourAm = { timezone: 'Asia/Bangkok', dayStartHour: 4 };
+    const midnight = { timezone: 'Asia/Bangkok', dayStartHour: 0 };
+
+    const moved = Migrations.rebucketDailyStats(data, fourAm, midnight);
+    assert.deepStrictEqual(Object.keys(moved.stats.dailyStats).sort(), ['2026-01-05', '2026-01-10', '2026-01-11']);
+    assert.strictEqual(moved.stats.dailyStats['2026-01-10'].reviews, 1);
+    assert.strictEqual(moved.stats.dailyStats['2026-01-11'].reviews, 2);
+
+    const back = Migrations.rebucketDailyStats(moved, midnight, fourAm);
+    assert.deepStrictEqual(back.stats.dailyStats, data.stats.dailyStats);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Schedulers, SM2Card } = loadScripts(['schedulers.js', 'sm2.js'], ['Schedulers', 'SM2Card']);
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-10T12:00:00Z');
+
+/**
+ * Review a card at each of its due dates
+ * @param {SM2Card} card
+ * @param {number[]} grades
+ * @returns {object[]} - Card state after each review
+ */
+function reviewOnTime(card, grades) {
+    let now = START;
+    return grades.map(quality => {
+        card.review(quality, 1000, now);
+        now = card.nextReview;
+        return { stability: card.stability, difficulty: card.difficulty, interval: card.interval };
+    });
+}
+
+test('FSRS stability and difficulty follow the published model', () => {
+    const card = new SM2Card('ก');
+    card.scheduler = 'fsrs';
+
+    const states = reviewOnTime(card, [4, 4, 1, 5]);
+
+    // Worked through by hand from the FSRS-4.5 formulas and default weights
+    const expected = [
+        { stability: 3.7145, difficulty: 5.1618, interval: 4 },
+        { stability: 14.8081, difficulty: 5.1237, interval: 15 },
+        { stability: 3.1512, difficulty: 6.8261, interval: 3 },
+        { stability: 20.8629, difficulty: 5.8667, interval: 21 }
+    ];
+    states.forEach((state, i) => {
+        assert.ok(Math.abs(state.stability - expected[i].stability) < 1e-4, `stability after review ${i + 1}`);
+        assert.ok(Math.abs(state.difficulty - expected[i].difficulty) < 1e-4, `difficulty after review ${i + 1}`);
+        assert.strictEqual(state.interval, expected[i].interval);
+    });
+});
+
+test('FSRS recall is 90% when a card comes due', () => {
+    const card = new SM2Card('ก');
+    card.scheduler = 'fsrs';
+    card.review(4, 1000, START);
+
+    const fsrs = Schedulers.get('fsrs');
+    assert.ok(Math.abs(fsrs.getRetrievability(card, START + card.stability * DAY) - 0.9) < 1e-9);
+    assert.ok(fsrs.getRetrievability(card, START + 2 * card.stability * DAY) < 0.9);
+});
+
+test('an SM-2 card moved to FSRS keeps its interval and due date', () => {
+    const card = new SM2Card('ก');
+    reviewOnTime(card, [5, 5, 5]);
+    const { interval, nextReview } = card;
+
+    Schedulers.migrateCard(card, 'fsrs');
+
+    assert.strictEqual(card.scheduler, 'fsrs');
+    assert.strictEqual(card.stability, interval);
+    // Three perfect answers reach the top ease factor, which maps to the easiest difficulty
+    assert.ok(Math.abs(card.difficulty - 1) < 1e-9);
+    assert.strictEqual(card.nextReview, nextReview);
+});
+
+test('replay predicts each review after the first, from the card as it was then', () => {
+    const card = new SM2Card('ก');
+    card.scheduler = 'fsrs';
+    const fsrs = Schedulers.get('fsrs');
+    const reviewLog = [];
+    const predictions = [];
+
+    let now = START;
+    [4, 4, 1, 5].forEach(quality => {
+        if (!card.isNew) predictions.push(fsrs.getRetrievability(card, now));
+        card.review(quality, 1000, now);
+        reviewLog.push({ timestamp: now, character: 'ก', mode: 'roman', correct: quality >= 3, quality, responseTime: 1000 });
+        now = card.nextReview + DAY;
+    });
+
+    const result = Schedulers.replay(reviewLog, 'fsrs');
+
+    assert.strictEqual(result.predictions, 3);
+    assert.ok(Math.abs(result.predictedRetention - predictions.reduce((a, b) => a + b) / 3) < 1e-12);
+    assert.strictEqual(result.actualRetention, 2 / 3);
+    assert.deepStrictEqual(Schedulers.compare(reviewLog).map(({ scheduler }) => scheduler), ['sm2', 'fsrs']);
+});
+
+test('replay takes cards through the learning steps and leaves step reviews unscored', () => {
+    const steps = { learningSteps: [1, 10], relearningSteps: [10] };
+    const card = new SM2Card('ก');
+    const sm2 = Schedulers.get('sm2');
+    const reviewLog = [];
+    const predictions = [];
+
+    let now = START;
+    [5, 5, 4, 1, 4, 5].forEach(quality => {
+        if (!card.isNew && card.learningStep === null) predictions.push(sm2.getRetrievability(card, now));
+        card.review(quality, 1000, now, steps);
+        reviewLog.push({ timestamp: now, character: 'ก', mode: 'roman', correct: quality >= 3, quality, responseTime: 1000 });
+        now = card.nextReview;
+    });
+
+    const result = Schedulers.replay(reviewLog, 'sm2', steps);
+
+    // The third, fourth and last reviews: the others were on a step
+    assert.strictEqual(predictions.length, 3);
+    assert.strictEqual(result.predictions, 3);
+    assert.ok(Math.abs(result.predictedRetention - predictions.reduce((a, b) => a + b) / 3) < 1e-12);
+    assert.strictEqual(result.actualRetention, 2 / 3);
+});
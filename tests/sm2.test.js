@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { SM2Card, SM2Deck } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js'],
+    ['SM2Card', 'SM2Deck']
+);
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const STEPS = { learningSteps: [1, 10], relearningSteps: [10] };
+const START = Date.parse('2026-01-10T12:00:00Z');
+
+test('a new card goes through each learning step before it graduates', () => {
+    const card = new SM2Card('ก');
+
+    card.review(5, 1000, START, STEPS);
+    assert.strictEqual(card.learningStep, 1);
+    assert.strictEqual(card.isNew, false);
+    assert.strictEqual(card.interval, 0);
+    assert.strictEqual(card.nextReview, START + 10 * MINUTE);
+
+    card.review(5, 1000, START + 10 * MINUTE, STEPS);
+    assert.strictEqual(card.learningStep, null);
+    assert.strictEqual(card.interval, 1);
+    assert.strictEqual(card.repetitions, 1);
+    assert.strictEqual(card.nextReview, START + 10 * MINUTE + DAY);
+});
+
+test('a wrong answer during learning goes back to the first step', () => {
+    const card = new SM2Card('ก');
+
+    card.review(5, 1000, START, STEPS);
+    card.review(1, 1000, START + 10 * MINUTE, STEPS);
+
+    assert.strictEqual(card.learningStep, 0);
+    assert.strictEqual(card.nextReview, START + 11 * MINUTE);
+    assert.strictEqual(card.repetitions, 0);
+});
+
+test('a lapsed card relearns, then returns to the interval it got when it lapsed', () => {
+    const card = new SM2Card('ก');
+    Object.assign(card, { isNew: false, isMature: true, repetitions: 3, interval: 15, lastReviewed: START - 15 * DAY });
+
+    card.review(1, 1000, START, STEPS);
+    assert.strictEqual(card.isRelearning, true);
+    assert.strictEqual(card.learningStep, 0);
+    assert.strictEqual(card.interval, 1);
+    assert.strictEqual(card.nextReview, START + 10 * MINUTE);
+
+    const easeAfterLapse = card.easeFactor;
+    card.review(5, 1000, START + 10 * MINUTE, STEPS);
+    assert.strictEqual(card.isRelearning, false);
+    assert.strictEqual(card.learningStep, null);
+    assert.strictEqual(card.interval, 1);
+    assert.strictEqual(card.easeFactor, easeAfterLapse);
+    assert.strictEqual(card.nextReview, START + 10 * MINUTE + DAY);
+});
+
+test('without steps a new card graduates on its first review', () => {
+    const card = new SM2Card('ก');
+
+    card.review(5, 1000, START);
+
+    assert.strictEqual(card.learningStep, null);
+    assert.strictEqual(card.interval, 1);
+    assert.strictEqual(card.nextReview, START + DAY);
+});
+
+test('the deck reviews with its own steps and counts new cards separately', () => {
+    const deck = new SM2Deck();
+    const card = deck.addCard('ก');
+
+    deck.reviewCard(card, 5, 1000);
+    assert.strictEqual(card.learningStep, 1);
+    assert.strictEqual(deck.getTodayCounts().newCards, 1);
+    assert.strictEqual(deck.getTodayCounts().reviews, 0);
+
+    deck.reviewCard(card, 5, 1000);
+    assert.strictEqual(deck.getTodayCounts().reviews, 1);
+    assert.deepStrictEqual(deck.getStepCards(), []);
+});
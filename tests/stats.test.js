@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { stats, SM2Card, StudyDay } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'adapters.js', 'storage.js',
+        'stats.js', 'drills.js'],
+    ['stats', 'SM2Card', 'StudyDay']
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-10T12:00:00Z');
+const UTC_DAYS = { timezone: 'UTC', dayStartHour: 0 };
+
+test('a wrong letter for a one-letter answer is not a near miss', () => {
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'z', acceptedAnswers: ['k'] }), 1);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'zz', acceptedAnswers: ['k'] }), 0);
+});
+
+test('one edit from a longer spelling is a near miss, further away grades lower', () => {
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'k', acceptedAnswers: ['kh', 'k'] }), 2);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'k', acceptedAnswers: ['kh'] }), 2);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'ia', acceptedAnswers: ['uea'] }), 1);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'mmm', acceptedAnswers: ['kh'] }), 0);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: '  ', acceptedAnswers: ['kh'] }), 0);
+});
+
+test('mixing up a listed look-alike is a near miss, any other pick is familiar', () => {
+    const lookAlikes = ['ข', 'ค'];
+
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'ข', confusedWith: ['ข'], lookAlikes }), 2);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'ม', confusedWith: ['ม'], lookAlikes }), 1);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'mmm', acceptedAnswers: ['kh'], confusedWith: ['ข'], lookAlikes }), 2);
+});
+
+test('needing the reveal costs one grade', () => {
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'k', acceptedAnswers: ['kh'], revealed: true }), 1);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: 'z', acceptedAnswers: ['k'], revealed: true }), 0);
+    assert.strictEqual(stats.gradeWrongAnswer({ input: '', acceptedAnswers: ['kh'], revealed: true }), 0);
+    assert.strictEqual(stats.calculateQuality(false, 2000, { input: 'k', acceptedAnswers: ['kh'], revealed: true }), 1);
+});
+
+/**
+ * Storage data around a set of cards, with UTC days starting at midnight
+ * @param {object} cards - deck.cards
+ * @param {object} deck - Other deck fields
+ * @returns {object}
+ */
+function deckData(cards, deck = {}) {
+    return {
+        settings: { ...UTC_DAYS, drillMode: 'roman' },
+        deck: { cards, newCardsPerDay: 2, ...deck },
+        reviewLog: []
+    };
+}
+
+/**
+ * A new card that was added before START
+ * @param {string} character
+ * @param {string} mode
+ * @returns {object}
+ */
+function newCard(character, mode = 'roman') {
+    return { ...new SM2Card(character, mode).toJSON(), nextReview: START - DAY };
+}
+
+test('the forecast follows a reviewed card through each interval', () => {
+    const card = {
+        ...new SM2Card('ก').toJSON(),
+        isNew: false,
+        isMature: true,
+        repetitions: 2,
+        interval: 6,
+        totalReviews: 2,
+        correctCount: 2,
+        averageResponseTime: 6000,
+        lastReviewed: START - 4 * DAY,
+        nextReview: START + 2 * DAY
+    };
+
+    const forecast = stats.getForecast(deckData({ 'ก': card }), 30, START);
+
+    // 6 days, then 6 * 2.5 = 15 days; the one after that is past the window
+    const reviewDays = forecast.days.filter(day => day.reviews > 0).map(day => day.date);
+    assert.deepStrictEqual(reviewDays, ['2026-01-12', '2026-01-27']);
+    assert.strictEqual(forecast.totalReviews, 2);
+    assert.strictEqual(forecast.days[2].minutes, 0.1);
+    // Recall falls until the card is reviewed, then starts again from the top
+    assert.ok(forecast.days[1].retention < forecast.days[0].retention);
+    assert.ok(forecast.days[3].retention > forecast.days[2].retention);
+    assert.strictEqual(forecast.retention, forecast.days[0].retention);
+});
+
+test('the forecast introduces new cards of the active mode only, less those already introduced today', () => {
+    const cards = {};
+    ['ก', 'ข', 'ค'].forEach(char => {
+        cards[char] = newCard(char);
+        cards[`final:${char}`] = newCard(char, 'final');
+    });
+    const data = deckData(cards, { dayCounts: { day: StudyDay.getKey(START, UTC_DAYS), newCards: 1, reviews: 0 } });
+    const before = JSON.stringify(data);
+
+    const forecast = stats.getForecast(data, 30, START);
+
+    assert.deepStrictEqual(forecast.days.slice(0, 3).map(day => day.newCards), [1, 2, 0]);
+    assert.strictEqual(forecast.days.reduce((sum, day) => sum + day.newCards, 0), 3);
+    assert.strictEqual(JSON.stringify(data), before);
+});
+
+test('response-time profiles use correct answers and flag characters that are right but slow', () => {
+    const data = deckData({});
+    const log = (character, responseTime, correct = true, mode = 'roman') => {
+        data.reviewLog.push({ timestamp: START + data.reviewLog.length, character, mode, correct, responseTime });
+    };
+    [4000, 6000, 4500, 5000].forEach(time => log('ก', time));
+    log('ก', 900, false);
+    log('ก', 100, true, 'final');
+    [1000, 1200, 900].forEach(time => log('ข', time));
+    [8000, 9000].forEach(time => log('ค', time));
+
+    const profiles = stats.getResponseTimeProfiles(data, 'roman');
+
+    assert.deepStrictEqual(profiles.map(({ character }) => character), ['ค', 'ก', 'ข']);
+    const slow = profiles.find(profile => profile.character === 'ก');
+    assert.strictEqual(slow.count, 4);
+    assert.strictEqual(slow.median, 4500);
+    assert.strictEqual(slow.p90, 6000);
+    assert.strictEqual(slow.accuracy, 80);
+    assert.strictEqual(slow.slow, true);
+    assert.strictEqual(profiles.find(profile => profile.character === 'ข').slow, false);
+    // Too few timed answers to judge
+    assert.strictEqual(profiles.find(profile => profile.character === 'ค').slow, false);
+
+    assert.deepStrictEqual(stats.getSlowestCharacters(data, 'roman'), ['ก', 'ข']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { storage } = loadScripts(
+    ['data.js', 'dates.js', 'tones.js', 'schedulers.js', 'sm2.js', 'migrations.js', 'adapters.js', 'storage.js'],
+    ['storage']
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function review(timestamp) {
+    return {
+        timestamp,
+        character: 'ก',
+        mode: 'roman',
+        answer: 'g',
+        correct: false,
+        responseTime: 2000,
+        quality: 1,
+        before: { interval: 6, easeFactor: 2.5 },
+        after: { interval: 1, easeFactor: 1.96 }
+    };
+}
+
+test('compacting the review log strips detail from old entries first and never drops one', () => {
+    const now = Date.now();
+    const data = { reviewLog: [review(now - 60 * DAY), review(now - 40 * DAY), review(now - DAY)] };
+    const kept = ({ timestamp, character, mode, correct, responseTime, quality }) =>
+        ({ timestamp, character, mode, correct, responseTime, quality });
+    const essentials = data.reviewLog.map(kept);
+
+    assert.strictEqual(storage.compactReviewLog(data), true);
+    assert.deepStrictEqual(data.reviewLog.map(entry => entry.compacted === true), [true, true, false]);
+    assert.strictEqual(data.reviewLog[2].answer, 'g');
+
+    // Nothing old left to strip: recent entries go next
+    assert.strictEqual(storage.compactReviewLog(data), true);
+    assert.ok(data.reviewLog.every(entry => entry.compacted && !('answer' in entry) && !('before' in entry)));
+
+    // Then there is nothing left to free, and the log is still whole
+    assert.strictEqual(storage.compactReviewLog(data), false);
+    assert.deepStrictEqual(data.reviewLog.map(kept), essentials);
+});